@@ -0,0 +1,363 @@
+// Sun and Moon ephemerides after J. Meeus, Astronomical Algorithms (2nd ed., 1998).
+// Loaded as a plain script before script.js (and usable from workers via importScripts); everything lives on the
+// global `Astronomy` object so nothing collides with the app's own helpers.
+//
+// Reference values (Meeus worked examples), asserted in test/astronomy.test.js:
+//   nutation, 1987 Apr 10 0h TD (ex. 22.a): dPsi = -3.788", dEps = +9.443", true obliquity 23°26'36.850"
+//   Sun, 1992 Oct 13.0 TD (ex. 25.a): apparent RA 198.38083°, Dec -7.78507°, R = 0.99766 AU
+//   Moon, 1992 Apr 12 0h TD (ex. 47.a): apparent lon 133.167265°, lat -3.229126°, distance 368409.7 km,
+//     apparent RA 134.688470°, Dec 13.768368° (this code: 134.688469°, 13.768367°, from rounding in the book)
+//   illuminated fraction of the Moon, 1992 Apr 12 0h TD (ex. 48.a): 0.6786
+//   eclipseGeometry() flags the total lunar eclipse of 2022 Nov 8 (umbral) and the penumbral one of 2023 May 5,
+//     and the total solar eclipse of 2024 Apr 8, at the corresponding full/new moons
+const Astronomy = (() => {
+    const AU_KM = 149597870.7;
+    const MOON_MEAN_DISTANCE_KM = 385000.56;
+    const D2R = Math.PI / 180;
+    const norm360 = (x) => ((x % 360) + 360) % 360;
+    // polynomial in T, coefficients from the constant term up
+    const poly = (T, c) => c.reduceRight((acc, k) => acc * T + k, 0);
+
+    function julianDay(date) {
+        return date.getTime() / 86400000.0 + 2440587.5;
+    }
+
+    // Leap seconds since 1972 (start dates, UTC); TAI - UTC was 10 s on 1972-01-01
+    const LEAP_SECOND_DATES = [
+        '1972-07-01', '1973-01-01', '1974-01-01', '1975-01-01', '1976-01-01', '1977-01-01', '1978-01-01', '1979-01-01',
+        '1980-01-01', '1981-07-01', '1982-07-01', '1983-07-01', '1985-07-01', '1988-01-01', '1990-01-01', '1991-01-01',
+        '1992-07-01', '1993-07-01', '1994-07-01', '1996-01-01', '1997-07-01', '1999-01-01', '2006-01-01', '2009-01-01',
+        '2012-07-01', '2015-07-01', '2017-01-01'
+    ].map((d) => Date.parse(d + 'T00:00:00Z'));
+
+    // TT - UTC in seconds. From 1972 to 2050 this is 32.184 s + TAI - UTC (UT1 - UTC, under 0.9 s, is ignored);
+    // otherwise the Espenak & Meeus polynomials for TT - UT, with the long-term parabola outside 1961-2150.
+    function deltaT(date) {
+        const ms = date.getTime();
+        const y = date.getUTCFullYear() + (date.getUTCMonth() + 0.5) / 12;
+        if (ms >= Date.UTC(1972, 0, 1) && y < 2050) {
+            return 32.184 + 10 + LEAP_SECOND_DATES.filter((t) => t <= ms).length;
+        }
+        if (y >= 1961 && y < 1986) {
+            const t = y - 1975;
+            return 45.45 + 1.067 * t - t * t / 260 - t * t * t / 718;
+        }
+        const u = (y - 1820) / 100;
+        if (y >= 2050 && y < 2150) return -20 + 32 * u * u - 0.5628 * (2150 - y);
+        return -20 + 32 * u * u;
+    }
+
+    // Julian Ephemeris Day (TT) for a UTC date
+    function julianEphemerisDay(date) {
+        return julianDay(date) + deltaT(date) / 86400;
+    }
+
+    const centuries = (jde) => (jde - 2451545.0) / 36525.0;
+
+    // IAU 1980 nutation series (Meeus table 22.A): D, M, M', F, Omega multipliers; dPsi sin coeff (+T);
+    // dEps cos coeff (+T), in units of 0.0001"
+    const NUTATION_TERMS = [
+        [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+        [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+        [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+        [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+        [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+        [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+        [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+        [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+        [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+        [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+        [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+        [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+        [0, 0, -1, 2, 2, 123, 0, -53, 0],
+        [2, 0, 0, 0, 0, 63, 0, 0, 0],
+        [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+        [2, 0, -1, 2, 2, -59, 0, 26, 0],
+        [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+        [0, 0, 1, 2, 1, -51, 0, 27, 0],
+        [-2, 0, 2, 0, 0, 48, 0, 0, 0],
+        [0, 0, -2, 2, 1, 46, 0, -24, 0],
+        [2, 0, 0, 2, 2, -38, 0, 16, 0],
+        [0, 0, 2, 2, 2, -31, 0, 13, 0],
+        [0, 0, 2, 0, 0, 29, 0, 0, 0],
+        [-2, 0, 1, 2, 2, 29, 0, -12, 0],
+        [0, 0, 0, 2, 0, 26, 0, 0, 0],
+        [-2, 0, 0, 2, 0, -22, 0, 0, 0],
+        [0, 0, -1, 2, 1, 21, 0, -10, 0],
+        [0, 2, 0, 0, 0, 17, -0.1, 0, 0],
+        [2, 0, -1, 0, 1, 16, 0, -8, 0],
+        [-2, 2, 0, 2, 2, -16, 0.1, 7, 0],
+        [0, 1, 0, 0, 1, -15, 0, 9, 0],
+        [-2, 0, 1, 0, 1, -13, 0, 7, 0],
+        [0, -1, 0, 0, 1, -12, 0, 6, 0],
+        [0, 0, 2, -2, 0, 11, 0, 0, 0],
+        [2, 0, -1, 2, 1, -10, 0, 5, 0],
+        [2, 0, 1, 2, 2, -8, 0, 3, 0],
+        [0, 1, 0, 2, 2, 7, 0, -3, 0],
+        [-2, 1, 1, 0, 0, -7, 0, 0, 0],
+        [0, -1, 0, 2, 2, -7, 0, 3, 0],
+        [2, 0, 0, 2, 1, -7, 0, 3, 0],
+        [2, 0, 1, 0, 0, 6, 0, 0, 0],
+        [-2, 0, 2, 2, 2, 6, 0, -3, 0],
+        [-2, 0, 1, 2, 1, 6, 0, -3, 0],
+        [2, 0, -2, 0, 1, -6, 0, 3, 0],
+        [2, 0, 0, 0, 1, -6, 0, 3, 0],
+        [0, -1, 1, 0, 0, 5, 0, 0, 0],
+        [-2, -1, 0, 2, 1, -5, 0, 3, 0],
+        [-2, 0, 0, 0, 1, -5, 0, 3, 0],
+        [0, 0, 2, 2, 1, -5, 0, 3, 0],
+        [-2, 0, 2, 0, 1, 4, 0, 0, 0],
+        [-2, 1, 0, 2, 1, 4, 0, 0, 0],
+        [0, 0, 1, -2, 0, 4, 0, 0, 0],
+        [-1, 0, 1, 0, 0, -4, 0, 0, 0],
+        [-2, 1, 0, 0, 0, -4, 0, 0, 0],
+        [1, 0, 0, 0, 0, -4, 0, 0, 0],
+        [0, 0, 1, 2, 0, 3, 0, 0, 0],
+        [0, 0, -2, 2, 2, -3, 0, 0, 0],
+        [-1, -1, 1, 0, 0, -3, 0, 0, 0],
+        [0, 1, 1, 0, 0, -3, 0, 0, 0],
+        [0, -1, 1, 2, 2, -3, 0, 0, 0],
+        [2, -1, -1, 2, 2, -3, 0, 0, 0],
+        [0, 0, 3, 2, 2, -3, 0, 0, 0],
+        [2, -1, 0, 2, 2, -3, 0, 0, 0]
+    ];
+
+    // Nutation in longitude and obliquity, degrees (Meeus ch. 22)
+    function nutation(jde) {
+        const T = centuries(jde);
+        const D = poly(T, [297.85036, 445267.111480, -0.0019142, 1 / 189474]) * D2R;
+        const M = poly(T, [357.52772, 35999.050340, -0.0001603, -1 / 300000]) * D2R;
+        const Mp = poly(T, [134.96298, 477198.867398, 0.0086972, 1 / 56250]) * D2R;
+        const F = poly(T, [93.27191, 483202.017538, -0.0036825, 1 / 327270]) * D2R;
+        const Om = poly(T, [125.04452, -1934.136261, 0.0020708, 1 / 450000]) * D2R;
+        let dPsi = 0;
+        let dEps = 0;
+        NUTATION_TERMS.forEach(([d, m, mp, f, om, ps, psT, ep, epT]) => {
+            const arg = d * D + m * M + mp * Mp + f * F + om * Om;
+            dPsi += (ps + psT * T) * Math.sin(arg);
+            dEps += (ep + epT * T) * Math.cos(arg);
+        });
+        return { dPsi: dPsi / 36000000, dEps: dEps / 36000000 };
+    }
+
+    // Mean obliquity of the ecliptic, degrees (Meeus eq. 22.2)
+    function meanObliquity(jde) {
+        const T = centuries(jde);
+        return 23 + 26 / 60 + poly(T, [21.448, -46.8150, -0.00059, 0.001813]) / 3600;
+    }
+
+    // Ecliptic (lon, lat, deg) -> equatorial RA/Dec (deg) for obliquity eps (deg)
+    function eclipticToEquatorial(lon, lat, eps) {
+        const l = lon * D2R;
+        const b = lat * D2R;
+        const e = eps * D2R;
+        const ra = Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l));
+        const dec = Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l));
+        return { ra: norm360(ra / D2R), dec: dec / D2R };
+    }
+
+    // RA/Dec (deg) and distance -> equatorial rectangular coordinates in the same unit
+    function equatorialVector(ra, dec, r) {
+        const a = ra * D2R;
+        const d = dec * D2R;
+        return { x: r * Math.cos(d) * Math.cos(a), y: r * Math.cos(d) * Math.sin(a), z: r * Math.sin(d) };
+    }
+
+    // Apparent geocentric Sun at a JDE (Meeus ch. 25: geometric elements of the Earth's orbit with the chapter's
+    // aberration and nutation corrections, about 0.01°).
+    // { lon, lat, ra, dec (deg, apparent, true equator of date), distanceAu, distanceKm, eci (km) }
+    function sunAtJde(jde) {
+        const T = centuries(jde);
+        const L0 = poly(T, [280.46646, 36000.76983, 0.0003032]);
+        const M = poly(T, [357.52911, 35999.05029, -0.0001537]) * D2R;
+        const e = poly(T, [0.016708634, -0.000042037, -0.0000001267]);
+        const C = poly(T, [1.914602, -0.004817, -0.000014]) * Math.sin(M)
+            + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+            + 0.000289 * Math.sin(3 * M);
+        const trueLon = L0 + C;
+        const nu = M + C * D2R;
+        const R = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(nu));
+        const om = (125.04 - 1934.136 * T) * D2R;
+        const lon = norm360(trueLon - 0.00569 - 0.00478 * Math.sin(om));
+        const eps = meanObliquity(jde) + 0.00256 * Math.cos(om);
+        const eq = eclipticToEquatorial(lon, 0, eps);
+        return {
+            lon: lon, lat: 0, ra: eq.ra, dec: eq.dec,
+            distanceAu: R, distanceKm: R * AU_KM,
+            eci: equatorialVector(eq.ra, eq.dec, R * AU_KM)
+        };
+    }
+
+    // Moon periodic terms (Meeus tables 47.A and 47.B). 47.A: D, M, M', F, sum-l coeff (1e-6 deg), sum-r coeff (0.001 km)
+    const MOON_LR_TERMS = [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+        [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+        [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+        [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+        [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+        [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+        [0, 2, 0, 0, -2069, 0], [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958], [0, 0, 2, 2, -1110, 0],
+        [3, 0, -1, 0, -892, 3258], [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354], [2, 1, -2, 0, 691, 0],
+        [2, -1, 0, -2, 596, 0], [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739], [2, 1, 0, -2, -399, 0],
+        [0, 0, 2, -2, -381, -4421], [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0], [0, 2, 1, 0, -323, 1165],
+        [1, 1, -1, 0, 299, 0], [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+    ];
+    // 47.B: D, M, M', F, sum-b coeff (1e-6 deg)
+    const MOON_B_TERMS = [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+        [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+        [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+        [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+        [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+        [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833], [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+        [2, 0, 0, -3, 607], [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+        [2, 1, 0, 1, -351], [4, 0, 0, 1, 331], [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+        [0, 0, 1, 3, -283], [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+        [0, 1, 2, 1, -177], [4, 0, -2, -1, 176], [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+        [4, 0, 1, -1, 132], [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+    ];
+
+    // Apparent geocentric Moon at a JDE (Meeus ch. 47, ELP-2000/82 truncated), same shape as sunAtJde(). The Moon's
+    // light time (~1.3 s) is not applied, as in the book.
+    function moonAtJde(jde) {
+        const T = centuries(jde);
+        const Lp = norm360(poly(T, [218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000]));
+        const D = norm360(poly(T, [297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000])) * D2R;
+        const M = norm360(poly(T, [357.5291092, 35999.0502909, -0.0001536, 1 / 24490000])) * D2R;
+        const Mp = norm360(poly(T, [134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000])) * D2R;
+        const F = norm360(poly(T, [93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000])) * D2R;
+        const A1 = norm360(119.75 + 131.849 * T) * D2R;
+        const A2 = norm360(53.09 + 479264.290 * T) * D2R;
+        const A3 = norm360(313.45 + 481266.484 * T) * D2R;
+        // terms with the Sun's mean anomaly shrink with the Earth's decreasing eccentricity
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+        const eFactor = (m) => (m === 0 ? 1 : (Math.abs(m) === 1 ? E : E * E));
+        let sumL = 0;
+        let sumR = 0;
+        let sumB = 0;
+        MOON_LR_TERMS.forEach(([d, m, mp, f, l, r]) => {
+            const arg = d * D + m * M + mp * Mp + f * F;
+            const k = eFactor(m);
+            sumL += l * k * Math.sin(arg);
+            sumR += r * k * Math.cos(arg);
+        });
+        MOON_B_TERMS.forEach(([d, m, mp, f, b]) => {
+            sumB += b * eFactor(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+        });
+        const LpR = Lp * D2R;
+        sumL += 3958 * Math.sin(A1) + 1962 * Math.sin(LpR - F) + 318 * Math.sin(A2);
+        sumB += -2235 * Math.sin(LpR) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) + 175 * Math.sin(A1 + F)
+            + 127 * Math.sin(LpR - Mp) - 115 * Math.sin(LpR + Mp);
+        const nut = nutation(jde);
+        const lon = norm360(Lp + sumL / 1e6 + nut.dPsi);
+        const lat = sumB / 1e6;
+        const distanceKm = MOON_MEAN_DISTANCE_KM + sumR / 1000;
+        const eq = eclipticToEquatorial(lon, lat, meanObliquity(jde) + nut.dEps);
+        return {
+            lon: lon, lat: lat, ra: eq.ra, dec: eq.dec,
+            distanceKm: distanceKm, distanceAu: distanceKm / AU_KM,
+            eci: equatorialVector(eq.ra, eq.dec, distanceKm)
+        };
+    }
+
+    function sunPosition(date) {
+        return sunAtJde(julianEphemerisDay(date));
+    }
+
+    function moonPosition(date) {
+        return moonAtJde(julianEphemerisDay(date));
+    }
+
+    // Apparent minus mean sidereal time (radians): rotate true-of-date RA by GMST + this to get Earth-fixed longitude
+    function equationOfEquinoxes(date) {
+        const jde = julianEphemerisDay(date);
+        const nut = nutation(jde);
+        return nut.dPsi * Math.cos((meanObliquity(jde) + nut.dEps) * D2R) * D2R;
+    }
+
+    // Illuminated fraction, phase angle and elongation (deg) of the Moon (Meeus ch. 48). waxing while the Moon's
+    // ecliptic longitude runs ahead of the Sun's by less than 180°.
+    function moonIllumination(date) {
+        const jde = julianEphemerisDay(date);
+        return moonIlluminationAtJde(jde);
+    }
+
+    function moonIlluminationAtJde(jde) {
+        const s = sunAtJde(jde);
+        const m = moonAtJde(jde);
+        const d = D2R;
+        const cosPsi = Math.sin(s.dec * d) * Math.sin(m.dec * d) + Math.cos(s.dec * d) * Math.cos(m.dec * d) * Math.cos((s.ra - m.ra) * d);
+        const psi = Math.acos(Math.max(-1, Math.min(1, cosPsi)));
+        const i = Math.atan2(s.distanceKm * Math.sin(psi), m.distanceKm - s.distanceKm * Math.cos(psi));
+        return {
+            fraction: (1 + Math.cos(i)) / 2,
+            phaseAngle: i / d,
+            elongation: psi / d,
+            waxing: norm360(m.lon - s.lon) < 180
+        };
+    }
+
+    const EARTH_RADIUS_KM = 6378.14;
+    const SUN_RADIUS_KM = 696000;
+    const MOON_RADIUS_KM = 1737.4;
+
+    // Geocentric Sun-Moon geometry for eclipse tests (all degrees). solarSeparation is the Moon's distance from the
+    // Sun, lunarSeparation its distance from the anti-Sun point. A solar eclipse is seen somewhere on Earth when
+    // solarSeparation < solarLimit; the Moon touches the umbra/penumbra when lunarSeparation < umbralLimit /
+    // penumbralLimit. Shadow radii use the true distances with the usual 2% atmospheric enlargement.
+    function eclipseGeometry(date) {
+        const jde = julianEphemerisDay(date);
+        const s = sunAtJde(jde);
+        const m = moonAtJde(jde);
+        const asinDeg = (x) => Math.asin(x) / D2R;
+        const sunSd = asinDeg(SUN_RADIUS_KM / s.distanceKm);
+        const moonSd = asinDeg(MOON_RADIUS_KM / m.distanceKm);
+        const sunPar = asinDeg(EARTH_RADIUS_KM / s.distanceKm);
+        const moonPar = asinDeg(EARTH_RADIUS_KM / m.distanceKm);
+        const d = D2R;
+        const cosSep = Math.sin(s.dec * d) * Math.sin(m.dec * d) + Math.cos(s.dec * d) * Math.cos(m.dec * d) * Math.cos((s.ra - m.ra) * d);
+        const sep = Math.acos(Math.max(-1, Math.min(1, cosSep))) / d;
+        return {
+            solarSeparation: sep,
+            lunarSeparation: 180 - sep,
+            solarLimit: moonPar - sunPar + sunSd + moonSd,
+            umbralLimit: 1.02 * (moonPar + sunPar - sunSd) + moonSd,
+            penumbralLimit: 1.02 * (moonPar + sunPar + sunSd) + moonSd
+        };
+    }
+
+    return {
+        AU_KM: AU_KM,
+        MOON_MEAN_DISTANCE_KM: MOON_MEAN_DISTANCE_KM,
+        julianDay: julianDay,
+        deltaT: deltaT,
+        julianEphemerisDay: julianEphemerisDay,
+        nutation: nutation,
+        meanObliquity: meanObliquity,
+        eclipticToEquatorial: eclipticToEquatorial,
+        equationOfEquinoxes: equationOfEquinoxes,
+        sunAtJde: sunAtJde,
+        moonAtJde: moonAtJde,
+        sunPosition: sunPosition,
+        moonPosition: moonPosition,
+        moonIllumination: moonIllumination,
+        moonIlluminationAtJde: moonIlluminationAtJde,
+        eclipseGeometry: eclipseGeometry
+    };
+})();
+
+// CommonJS export for the tests (test/astronomy.test.js); browsers and workers use the global
+if (typeof module !== 'undefined') module.exports = Astronomy;
@@ -46,15 +46,14 @@ let sunDistance = 6;
 let sunSpeed = 0.0009; // radians per frame
 // Visual moon distance (scaled). Real Moon is much farther; this keeps visibility while being distant.
 let moonDistance = 2.5;
+// when true the Moon sits at its real ephemeris distance (~60 Earth radii) instead of the visual scale above
+let moonTrueDistance = false;
 let magneticGroup = null;
 let nightMaterial = null;
 let nightMesh = null;
 let tideMesh = null;
 let tideMaterial = null;
 let starUniforms = null;
-// Star control parameters (driven by UI)
-let starTwinkleSpeed = 0.05; // default matches UI control
-let starDensityScale = 1.0; // multiplies star sizes
 
 // Comet system globals
 let cometsGroup = null;
@@ -65,7 +64,7 @@ const COMET_MAX_INTERVAL_MS = 1000 * 60 * 60 * 24 * 90; // ~3 months
 // small cloud drift offset (radians)
 let cloudDrift = 0.0;
 
-// Helper: compute GMST in radians for a given Date (reused by computeSunEcef earlier)
+// Helper: compute GMST in radians for a given Date
 function getGMSTRad(date) {
     const JD = toJulianDate(date);
     const T = (JD - 2451545.0) / 36525.0;
@@ -78,16 +77,38 @@ function getGMSTRad(date) {
 let simTime = new Date();
 let tleUpdateTimer = null;
 const TLE_UPDATE_MS = 3000;
+// cap on how far ahead (simulation ms) satellites are propagated per update, so interpolation chords
+// stay short for fast LEO objects even at high clock rates
+const SAT_MAX_LEAD_MS = 120000;
 
 // GPU smoothing / follow settings
 const USE_GPU_SMOOTH = true;
-let satInterp = 1.0;
-let satInterpDuration = 0.8; // seconds
-let satInterpStart = 0;
 let prevSatBuffer = null; // Float32Array
 let nextSatBuffer = null; // Float32Array
+// velocities (ECI km/s) at the two snapshots: the shader interpolates with cubic Hermite along the orbit
+let prevVelBuffer = null; // Float32Array
+let nextVelBuffer = null; // Float32Array
+let satVisibleBuffer = null; // Float32Array, one flag per object (a_visible)
+let satColorBuffer = null; // Float32Array, rgb per object (a_color)
+let satSizeBuffer = null; // Float32Array, point size multiplier per object (a_size)
+// simulation times (ms) of the prev/next snapshots; the shader interpolates between them by simTime
+let satPrevTime = 0;
+let satNextTime = null;
 let tleCount = 0;
 
+// Satellite altitude scaling. Position buffers hold ECI kilometres; the vertex shader (and satKmToScene on
+// the CPU) maps them into scene units where the Earth radius == 1.
+const EARTH_RADIUS_KM = 6371.0;
+// 'linear' keeps true proportions (GEO sits ~6.6 radii out); 'compressed' squeezes high orbits logarithmically
+let altitudeMode = 'linear';
+const ALT_COMPRESS_SCALE = 0.35; // scene units per e-fold of altitude
+const ALT_COMPRESS_H0_KM = 700.0; // altitude where compression starts to bite
+// Earth shadow cones (Sun at 1 AU): umbra narrows and penumbra widens behind the Earth at these slopes
+const SUN_RADIUS_KM = 696000.0;
+const AU_KM = 149597870.7;
+const SHADOW_UMBRA_TAN = Math.tan(Math.asin((SUN_RADIUS_KM - EARTH_RADIUS_KM) / AU_KM));
+const SHADOW_PENUMBRA_TAN = Math.tan(Math.asin((SUN_RADIUS_KM + EARTH_RADIUS_KM) / AU_KM));
+
 // atmosphere slider pending value
 // atmosphere slider pending value (raw slider value 0..1.2)
 let atmoPendingValue = 0.6; // processed exposure used by shader (after gamma mapping)
@@ -95,8 +116,13 @@ let atmoPendingRaw = 0.45; // raw slider value (kept as single source of truth)
 let nightPending = 0.25;
 let fadePending = 4.0;
 
-// ISS follow camera
-let followISSEnabled = false;
+// Follow camera (any satellite by NORAD, the Moon or a ground site)
+const ISS_NORAD = '25544';
+let followEnabled = false;
+let followTarget = { kind: 'sat', norad: ISS_NORAD }; // { kind: 'sat', norad } | { kind: 'moon' } | { kind: 'site', lat, lon, name }
+let followRig = 'orbit'; // 'chase' | 'nadir' | 'orbit' | 'lvlh'
+let followLvlhOffset = new THREE.Vector3(0.12, -0.08, 0.3); // radial, along-track, cross-track (scene units)
+let followSavedMinDistance = null;
 const followLerp = 0.12;
 // follow camera transition state
 let followTransitionStart = 0;
@@ -115,13 +141,6 @@ let followOrbitSpeed = 0.6; // radians per second
 let tleData = [];
 let tlePoints = null;
 let tlePositionsAttr = null;
-let tleUpdateInterval = 5000; // ms
-let lastTleUpdate = 0;
-// Synthetic satellite population (visible even if TLE fetch fails)
-let syntheticPoints = null;
-let syntheticPositionsAttr = null;
-let syntheticParams = [];
-const SYNTHETIC_SAT_COUNT = 2000; // adjust for performance
 
 // Simple helper: fetch JSON
 async function fetchJson(url) {
@@ -138,143 +157,472 @@ function toJulianDate(date) {
 function deg2rad(d) { return d * Math.PI / 180; }
 function rad2deg(r) { return r * 180 / Math.PI; }
 
-// Compute sun ECI (equatorial) vector then convert to ECEF using GMST
-function computeSunEcef(date) {
-    const JD = toJulianDate(date);
-    const n = JD - 2451545.0;
-    const L = (280.460 + 0.9856474 * n) % 360; // mean longitude
-    const g = (357.528 + 0.9856003 * n) % 360; // mean anomaly
-    const Lrad = deg2rad(L);
-    const grad = deg2rad(g);
-    const lambda = deg2rad((L + 1.915 * Math.sin(grad) + 0.020 * Math.sin(2 * grad)) % 360);
-    const eps = deg2rad(23.439 - 0.0000004 * n);
-
-    const x_eq = Math.cos(lambda);
-    const y_eq = Math.cos(eps) * Math.sin(lambda);
-    const z_eq = Math.sin(eps) * Math.sin(lambda);
-    // RA/Dec not required; vector in equatorial coordinates (ECI)
-    // Now rotate by GMST to ECEF
-    const T = (JD - 2451545.0) / 36525.0;
-    let GMST = 280.46061837 + 360.98564736629 * (JD - 2451545.0) + 0.000387933 * T * T - (T * T * T) / 38710000.0;
-    GMST = ((GMST % 360) + 360) % 360;
-    const gmstRad = deg2rad(GMST);
+// Apparent (true-of-date) equatorial vector -> ECEF unit vector, rotating by apparent sidereal time
+// (GMST + equation of the equinoxes)
+function apparentEquatorialToEcef(v, date) {
+    const g = getGMSTRad(date) + Astronomy.equationOfEquinoxes(date);
+    const c = Math.cos(g);
+    const sn = Math.sin(g);
+    return new THREE.Vector3(v.x * c + v.y * sn, -v.x * sn + v.y * c, v.z).normalize();
+}
 
-    const x = x_eq * Math.cos(gmstRad) + y_eq * Math.sin(gmstRad);
-    const y = -x_eq * Math.sin(gmstRad) + y_eq * Math.cos(gmstRad);
-    const z = z_eq;
-    return new THREE.Vector3(x, y, z).normalize();
+// Unit ECEF vectors towards the Sun and Moon (Meeus series in astronomy.js; use Astronomy.sunPosition() /
+// moonPosition() directly when distance or RA/Dec are needed)
+function computeSunEcef(date) {
+    return apparentEquatorialToEcef(Astronomy.sunPosition(date).eci, date);
 }
 
-// Simple moon position approximation (visual only)
 function computeMoonEcef(date) {
-    // Low-precision lunar position based on mean elements + main periodic terms
-    // Returns unit vector in ECEF (meters normalized) pointing to the Moon.
-    const JD = toJulianDate(date);
-    const D = JD - 2451545.0; // days since J2000
-    const T = D / 36525.0;
-
-    // Mean elements (degrees)
-    const Lp = (218.3164477 + 481267.88123421 * T) % 360; // mean longitude of the Moon
-    const M = (134.9633964 + 477198.8675055 * T) % 360; // Moon mean anomaly
-    const Ms = (357.5291092 + 35999.0502909 * T) % 360; // Sun mean anomaly
-    const Dm = (297.8501921 + 445267.1114034 * T) % 360; // mean elongation
-    const F = (93.2720950 + 483202.0175233 * T) % 360; // argument of latitude
-
-    // convert to radians
-    const Lp_r = deg2rad(Lp);
-    const M_r = deg2rad(M);
-    const Ms_r = deg2rad(Ms);
-    const Dm_r = deg2rad(Dm);
-    const F_r = deg2rad(F);
-
-    // Periodic terms (low-precision; main contributors)
-    const lambda = Lp_r
-        + deg2rad(6.289) * Math.sin(M_r)
-        + deg2rad(1.274) * Math.sin(2 * Dm_r - M_r)
-        + deg2rad(0.658) * Math.sin(2 * Dm_r)
-        + deg2rad(0.214) * Math.sin(2 * M_r)
-        - deg2rad(0.11) * Math.sin(Ms_r);
-
-    const beta = deg2rad(5.128) * Math.sin(F_r)
-        + deg2rad(0.280) * Math.sin(M_r + F_r)
-        + deg2rad(0.277) * Math.sin(M_r - F_r)
-        + deg2rad(0.173) * Math.sin(2 * Dm_r - F_r);
-
-    // Ecliptic rectangular coordinates (unit sphere; distance ignored for direction)
-    const x_ecl = Math.cos(beta) * Math.cos(lambda);
-    const y_ecl = Math.cos(beta) * Math.sin(lambda);
-    const z_ecl = Math.sin(beta);
-
-    // Convert from ecliptic to equatorial coordinates by obliquity
-    const eps = deg2rad(23.439291 - 0.0130042 * T);
-    const x_eq = x_ecl;
-    const y_eq = y_ecl * Math.cos(eps) - z_ecl * Math.sin(eps);
-    const z_eq = y_ecl * Math.sin(eps) + z_ecl * Math.cos(eps);
-
-    // Rotate from ECI (equatorial) to ECEF using GMST
-    let GMST = 280.46061837 + 360.98564736629 * (JD - 2451545.0) + 0.000387933 * T * T - (T * T * T) / 38710000.0;
-    GMST = ((GMST % 360) + 360) % 360;
-    const gmstRad = deg2rad(GMST);
+    return apparentEquatorialToEcef(Astronomy.moonPosition(date).eci, date);
+}
 
-    const x = x_eq * Math.cos(gmstRad) + y_eq * Math.sin(gmstRad);
-    const y = -x_eq * Math.sin(gmstRad) + y_eq * Math.cos(gmstRad);
-    const z = z_eq;
-    const v = new THREE.Vector3(x, y, z);
-    return v.normalize();
+// ECEF (Z = north pole) -> earthGroup local axes (Y = north pole), matching the SphereGeometry texture layout
+function ecefToLocal(v, out) {
+    out = out || new THREE.Vector3();
+    return out.set(v.x, v.z, -v.y);
 }
 
+// ECEF -> scene frame. The scene is inertial (earthGroup is spun by GMST), so undo the Earth rotation
+// at `date` first; this keeps the Sun, Moon and ECI satellites consistent with the rotating globe.
+function ecefToScene(v, date, out) {
+    const g = getGMSTRad(date || simTime || new Date());
+    const c = Math.cos(g);
+    const sn = Math.sin(g);
+    const x = v.x * c - v.y * sn;
+    const y = v.x * sn + v.y * c;
+    out = out || new THREE.Vector3();
+    return out.set(x, v.z, -y);
+}
+
+// --- Simulation clock ---
+// simClock owns simTime: every frame it advances by real elapsed seconds x rate. Layers subscribe with
+// simClock.onChange(fn), called as fn(simTime, kind) where kind is 'tick' (continuous advance),
+// 'jump' (now / step / jump-to-date) or 'rate' (rate or pause state changed).
+const SIM_RATE_LIMIT = 10000;
+const simClock = {
+    rate: 1.0,
+    paused: false,
+    stepSeconds: 60,
+    listeners: [],
+    onChange(fn) {
+        this.listeners.push(fn);
+        return () => { this.listeners = this.listeners.filter((f) => f !== fn); };
+    },
+    emit(kind) {
+        this.listeners.forEach((fn) => {
+            try { fn(simTime, kind); } catch (e) { console.warn('simClock listener failed', e); }
+        });
+    },
+    setTime(date, kind) {
+        simTime = new Date(date.getTime());
+        this.emit(kind || 'jump');
+    },
+    // advance by real elapsed seconds (called from animate)
+    tick(deltaSec) {
+        if (this.paused || this.rate === 0 || !(deltaSec > 0)) return;
+        this.setTime(new Date(simTime.getTime() + deltaSec * this.rate * 1000), 'tick');
+    },
+    play() { this.paused = false; this.emit('rate'); },
+    pause() { this.paused = true; this.emit('rate'); },
+    togglePause() { if (this.paused) this.play(); else this.pause(); },
+    setRate(rate) {
+        const r = Number(rate);
+        if (!isFinite(r)) return;
+        this.rate = Math.max(-SIM_RATE_LIMIT, Math.min(SIM_RATE_LIMIT, r));
+        this.emit('rate');
+    },
+    reverse() { this.setRate(-this.rate); },
+    // single step of stepSeconds in the current direction of travel (or an explicit number of seconds)
+    step(seconds) {
+        const sec = (typeof seconds === 'number') ? seconds : this.stepSeconds * (this.rate < 0 ? -1 : 1);
+        this.setTime(new Date(simTime.getTime() + sec * 1000), 'jump');
+    },
+    now() { this.setTime(new Date(), 'jump'); },
+    // jump to a Date, ms timestamp or ISO string; returns false if it can't be parsed
+    jumpTo(value) {
+        const d = (value instanceof Date) ? value : new Date(value);
+        if (isNaN(d.getTime())) {
+            console.warn('simClock.jumpTo: invalid date', value);
+            return false;
+        }
+        this.setTime(d, 'jump');
+        return true;
+    }
+};
+
 // WGS84 geodetic <-> ECEF helper removed (location features disabled)
 
+// Map an ECI position in km to scene coordinates (Y = north pole). Mirrors eciToScene() in the tlePoints
+// vertex shader, so CPU-side lookups land exactly where the GPU draws the point.
+function satKmToScene(x, y, z, out) {
+    out = out || new THREE.Vector3();
+    const rKm = Math.sqrt(x * x + y * y + z * z);
+    if (rKm <= 0) return out.set(0, 0, 0);
+    const h = Math.max(0, rKm - EARTH_RADIUS_KM);
+    let r;
+    if (altitudeMode === 'compressed') r = 1.0 + ALT_COMPRESS_SCALE * Math.log(1.0 + h / ALT_COMPRESS_H0_KM);
+    else r = 1.0 + h / EARTH_RADIUS_KM;
+    const s = r / rKm;
+    return out.set(x * s, z * s, -y * s);
+}
+
+// Switch between true-scale and compressed satellite altitudes (shader uniform; no re-propagation needed)
+function setAltitudeMode(mode) {
+    altitudeMode = (mode === 'compressed') ? 'compressed' : 'linear';
+    if (tlePoints && tlePoints.material && tlePoints.material.uniforms && tlePoints.material.uniforms.u_altMode) {
+        tlePoints.material.uniforms.u_altMode.value = altitudeMode === 'compressed' ? 1.0 : 0.0;
+    }
+}
+
 // --- SGP4 Worker integration ---
-let sgp4Worker = null;
-function setupSgp4Worker() {
-    if (typeof Worker === 'undefined') return null;
+// The catalog is split across a small pool of workers (one shard each) so very large catalogs
+// (30k+ objects including debris) still propagate within TLE_UPDATE_MS.
+const SGP4_SHARD_SIZE = 8000; // objects per worker before another worker is added
+const SGP4_POOL_MAX = 8;
+let sgp4Pool = []; // [{ worker, start, count }]
+let sgp4Seq = 0; // update sequence; replies from older sequences are dropped
+let sgp4Pending = 0; // shards still owed for the current sequence
+let sgp4RequestedAt = 0; // performance.now() of the last update request
+let sgp4SeqTime = 0; // simulation time (ms) the current sequence was propagated to
+let sgp4Staging = null; // Float32Array assembled from shard replies
+let sgp4VelStaging = null; // velocities, same layout
+let sgp4StatusStaging = null; // Uint8Array of per-object status codes, assembled alongside
+let sgp4BatchSeq = 0;
+const sgp4Batches = new Map(); // batch seq -> { times, indices, pending, count, parts, out, vel, resolve }
+let sgp4TrackSeq = 0;
+const sgp4Tracks = new Map(); // track seq -> { t, times, resolve }
+// set after the satellite buffers are (re)allocated so the first real positions replace both prev and next
+let satBuffersFresh = false;
+// main-thread satrec cache for the fallback path, keyed by tleData entry
+let satrecCache = new WeakMap();
+
+function sgp4PoolSize(count) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) ? navigator.hardwareConcurrency : 2;
+    const maxWorkers = Math.max(1, Math.min(SGP4_POOL_MAX, cores - 1));
+    return Math.max(1, Math.min(maxWorkers, Math.ceil(count / SGP4_SHARD_SIZE)));
+}
+
+// recompute each shard's offset into tleData from the shard counts
+function updateSgp4Offsets() {
+    let start = 0;
+    sgp4Pool.forEach((s) => { s.start = start; start += s.count; });
+}
+
+function terminateSgp4Pool() {
+    sgp4Pool.forEach((s) => { try { s.worker.terminate(); } catch (e) {} });
+    sgp4Pool = [];
+    sgp4Pending = 0;
+    // outstanding batches can no longer be answered by workers; finish them on the main thread
+    sgp4Batches.forEach((b) => {
+        for (let k = 0; k < b.times.length; k++) propagateCatalogInto(b.out, k * b.count * 3, new Date(b.times[k]), null, b.vel, b.indices);
+        b.resolve(b);
+    });
+    sgp4Batches.clear();
+    sgp4Tracks.forEach((r) => r.resolve(propagateTrack(r.t, r.times)));
+    sgp4Tracks.clear();
+}
+
+// (Re)create the worker pool and hand each worker its slice of tleData
+function setupSgp4Pool() {
+    terminateSgp4Pool();
+    if (typeof Worker === 'undefined') return false;
+    const count = tleData.length;
+    const size = sgp4PoolSize(count);
+    const per = Math.ceil(count / size);
     try {
-        sgp4Worker = new Worker('sgp4-worker.js');
-        sgp4Worker.onmessage = (ev) => {
-            const msg = ev.data;
-            if (msg.type === 'positions' && tlePositionsAttr && msg.positions) {
-                const arr = msg.positions;
-                // copy into attribute buffer safely
-                const len = arr.length;
-                // keep a separate copy for interpolation / ISS lookups
-                if (!window._tleLatestBuffer || window._tleLatestBuffer.length !== len) {
-                    window._tleLatestBuffer = new Float32Array(len);
-                }
-                window._tleLatestBuffer.set(arr);
-                // update prev/next GPU buffers for interpolation
-                if (prevSatBuffer && nextSatBuffer && tlePoints && tlePoints.material && tlePoints.geometry) {
-                    // copy current next -> prev
-                    prevSatBuffer.set(nextSatBuffer);
-                    // copy incoming arr into next
-                    nextSatBuffer.set(arr);
-                    // flag attributes update
-                    const aPrev = tlePoints.geometry.getAttribute('a_posPrev');
-                    const aNext = tlePoints.geometry.getAttribute('a_posNext');
-                    if (aPrev) aPrev.needsUpdate = true;
-                    if (aNext) aNext.needsUpdate = true;
-                    // reset interpolation timer and uniform
-                    if (tlePoints.material && tlePoints.material.uniforms) {
-                        tlePoints.material.uniforms.u_interp.value = 0.0;
-                        satInterpStart = performance.now() / 1000.0;
-                    }
-                }
-                lastTleUpdate = Date.now();
-            } else if (msg.type === 'ready') {
-                console.log('SGP4 worker ready:', msg);
-                if (!msg.satlib) {
-                    console.warn('Satellite.js not available inside worker; falling back to main-thread propagation.');
-                    try { sgp4Worker.terminate(); } catch (e) {}
-                    sgp4Worker = null;
-                }
-            }
-        };
-        return sgp4Worker;
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker('sgp4-worker.js');
+            worker.onmessage = onSgp4Message;
+            const start = i * per;
+            const slice = tleData.slice(start, Math.min(count, start + per));
+            sgp4Pool.push({ worker: worker, start: start, count: slice.length });
+            worker.postMessage({ type: 'setTLE', shard: i, tle: slice });
+        }
+        updateSgp4Offsets();
+        console.log('SGP4 worker pool:', sgp4Pool.length, 'worker(s) for', count, 'objects');
+        return true;
     } catch (e) {
         console.warn('SGP4 worker setup failed', e);
-        sgp4Worker = null;
+        terminateSgp4Pool();
     }
-    return null;
+    return false;
+}
+
+function onSgp4Message(ev) {
+    const msg = ev.data;
+    if (msg.type === 'batch' && msg.positions) {
+        onSgp4BatchReply(msg);
+    } else if (msg.type === 'track' && msg.positions) {
+        const r = sgp4Tracks.get(msg.seq);
+        if (!r) return;
+        sgp4Tracks.delete(msg.seq);
+        // the shard may have been re-sliced since the request; never hand back another object's path
+        r.resolve(msg.norad === tleNorad(r.t) ? msg.positions : propagateTrack(r.t, r.times));
+    } else if (msg.type === 'positions' && msg.positions) {
+        if (msg.seq !== sgp4Seq || !sgp4Staging) return; // stale reply (catalog changed or superseded)
+        const shard = sgp4Pool[msg.shard];
+        if (!shard || msg.positions.length !== shard.count * 3) return;
+        sgp4Staging.set(msg.positions, shard.start * 3);
+        if (msg.status && msg.status.length === shard.count) sgp4StatusStaging.set(msg.status, shard.start);
+        if (sgp4VelStaging && msg.velocities && msg.velocities.length === shard.count * 3) sgp4VelStaging.set(msg.velocities, shard.start * 3);
+        else sgp4VelStaging = null; // an old worker without velocities: interpolate along the chord
+        sgp4Pending--;
+        if (sgp4Pending === 0) commitSatPositions(sgp4Staging, sgp4SeqTime, sgp4StatusStaging, sgp4VelStaging);
+    } else if (msg.type === 'ready') {
+        console.log('SGP4 worker ready:', msg);
+        if (!msg.satlib) {
+            console.warn('Satellite.js not available inside worker; falling back to main-thread propagation.');
+            terminateSgp4Pool();
+            updateTLEPositionsFallback();
+        }
+    }
+}
+
+// Ask every shard for fresh positions; the reply is assembled in onSgp4Message
+function requestSatUpdate(force, leadMs) {
+    if (sgp4Pool.length === 0) return false;
+    // let an in-flight update finish unless it has clearly stalled, so slow shards aren't starved
+    if (!force && sgp4Pending > 0 && performance.now() - sgp4RequestedAt < TLE_UPDATE_MS * 4) return true;
+    sgp4Seq++;
+    sgp4RequestedAt = performance.now();
+    sgp4Pending = sgp4Pool.length;
+    if (!sgp4Staging || sgp4Staging.length !== tleData.length * 3) sgp4Staging = new Float32Array(tleData.length * 3);
+    if (!sgp4VelStaging || sgp4VelStaging.length !== tleData.length * 3) sgp4VelStaging = new Float32Array(tleData.length * 3);
+    if (!sgp4StatusStaging || sgp4StatusStaging.length !== tleData.length) sgp4StatusStaging = new Uint8Array(tleData.length);
+    const time = (simTime || new Date()).getTime() + (typeof leadMs === 'number' ? leadMs : satLeadMs());
+    sgp4SeqTime = time;
+    sgp4Pool.forEach((s) => s.worker.postMessage({ type: 'update', seq: sgp4Seq, time: time }));
+    return true;
+}
+
+// How far ahead of simTime the next snapshot is propagated: one update period at the current rate
+function satLeadMs() {
+    const rate = simClock.paused ? 0 : simClock.rate;
+    return Math.max(-SAT_MAX_LEAD_MS, Math.min(SAT_MAX_LEAD_MS, rate * TLE_UPDATE_MS));
+}
+
+// Interpolation factor between the prev/next snapshots at simulation time `t` (ms)
+function satInterpAt(t) {
+    if (satNextTime === null || satNextTime === satPrevTime) return 1.0;
+    return Math.min(1.0, Math.max(0.0, (t - satPrevTime) / (satNextTime - satPrevTime)));
+}
+
+// Cubic Hermite between the prev/next snapshots of component o (index into the xyz buffers) at factor u.
+// Tangents are the velocities scaled by the span length; `deriv` returns d/dt (km/s) instead of the position.
+// Keep in sync with the vertex shader.
+function satHermite(o, u, deriv) {
+    const spanS = (satNextTime === null) ? 0 : (satNextTime - satPrevTime) / 1000;
+    const u2 = u * u;
+    const u3 = u2 * u;
+    const p0 = prevSatBuffer[o];
+    const p1 = nextSatBuffer[o];
+    const m0 = prevVelBuffer ? prevVelBuffer[o] * spanS : 0;
+    const m1 = nextVelBuffer ? nextVelBuffer[o] * spanS : 0;
+    if (deriv) {
+        if (spanS === 0) return nextVelBuffer ? nextVelBuffer[o] : 0;
+        return ((6 * u2 - 6 * u) * p0 + (3 * u2 - 4 * u + 1) * m0 + (6 * u - 6 * u2) * p1 + (3 * u2 - 2 * u) * m1) / spanS;
+    }
+    return (2 * u3 - 3 * u2 + 1) * p0 + (u3 - 2 * u2 + u) * m0 + (3 * u2 - 2 * u3) * p1 + (u3 - u2) * m1;
+}
+
+// Current (interpolated) ECI km position of catalog entry i, as drawn by the shader
+function getSatKm(i, out) {
+    out = out || new THREE.Vector3();
+    if (!prevSatBuffer || !nextSatBuffer || i < 0 || i * 3 + 2 >= nextSatBuffer.length) return out.set(0, 0, 0);
+    const u = satInterpAt((simTime || new Date()).getTime());
+    const o = i * 3;
+    return out.set(satHermite(o, u), satHermite(o + 1, u), satHermite(o + 2, u));
+}
+
+// Current (interpolated) ECI km/s velocity of catalog entry i
+function getSatVelocity(i, out) {
+    out = out || new THREE.Vector3();
+    if (!prevSatBuffer || !nextSatBuffer || i < 0 || i * 3 + 2 >= nextSatBuffer.length) return out.set(0, 0, 0);
+    const u = satInterpAt((simTime || new Date()).getTime());
+    const o = i * 3;
+    return out.set(satHermite(o, u, true), satHermite(o + 1, u, true), satHermite(o + 2, u, true));
+}
+
+// Ask for a new snapshot once the clock has used up most of the interpolation span (or when none exists)
+function maybeRequestSatUpdate() {
+    if (!tleData || tleData.length === 0 || !tlePositionsAttr) return;
+    const lead = satLeadMs();
+    if (satNextTime !== null) {
+        const sim = (simTime || new Date()).getTime();
+        // paused and already current: nothing to do
+        if (lead === 0 && satNextTime === sim) return;
+        // how far the next snapshot still lies ahead of the clock, in the direction of travel
+        const ahead = (satNextTime - sim) * (lead < 0 ? -1 : 1);
+        if (lead !== 0 && ahead > Math.abs(lead) * 0.25) return;
+    }
+    updateTLEPositions();
+}
+
+// Clock subscriber: discontinuous time changes snap the satellites instead of sweeping across the sky
+function onSatClockChange(date, kind) {
+    if (kind === 'tick' || !tleData || tleData.length === 0) return;
+    if (kind === 'jump') {
+        satBuffersFresh = true;
+        satNextTime = null;
+        refreshSatHealth();
+    }
+    const lead = (kind === 'jump') ? 0 : undefined;
+    if (!requestSatUpdate(true, lead)) updateTLEPositionsFallback(lead);
+}
+
+// Batch propagation in full precision: states of the catalog entries `indices` (ascending; default the whole
+// catalog) at each of `times` (Dates or ms). Resolves to { positions, velocities }, Float64Arrays of ECI km and km/s
+// laid out [time][listed object][xyz]; failed objects are zero. Each shard only propagates its listed entries.
+function requestSatStates(times, indices) {
+    const ms = (times || []).map((t) => (t instanceof Date ? t.getTime() : t));
+    const list = indices || tleData.map((t, i) => i);
+    const size = ms.length * list.length * 3;
+    const b = { times: ms, indices: list, count: list.length, out: new Float64Array(size), vel: new Float64Array(size) };
+    const done = (r) => ({ positions: r.out, velocities: r.vel });
+    if (sgp4Pool.length === 0) {
+        // main-thread fallback
+        for (let k = 0; k < ms.length; k++) propagateCatalogInto(b.out, k * b.count * 3, new Date(ms[k]), null, b.vel, list);
+        return Promise.resolve(done(b));
+    }
+    // the listed entries of each shard form one contiguous run of `list`
+    b.parts = new Map();
+    let j = 0;
+    sgp4Pool.forEach((shard, si) => {
+        const first = j;
+        while (j < list.length && list[j] < shard.start + shard.count) j++;
+        if (j > first) b.parts.set(si, { offset: first, local: list.slice(first, j).map((i) => i - shard.start) });
+    });
+    b.pending = b.parts.size;
+    if (b.pending === 0) return Promise.resolve(done(b));
+    return new Promise((resolve) => {
+        // negative sequence numbers keep batches apart from the regular update stream
+        const seq = -(++sgp4BatchSeq);
+        b.resolve = (r) => resolve(done(r));
+        sgp4Batches.set(seq, b);
+        b.parts.forEach((part, si) => sgp4Pool[si].worker.postMessage({ type: 'update', seq: seq, times: ms, velocity: true, indices: part.local }));
+    });
+}
+
+// Positions of a single catalog entry at each of `times` (ms), ECI km laid out [time][xyz].
+// Propagated by the worker shard that owns the entry, i.e. from the very satrec that drives the points.
+function requestSatTrack(index, times) {
+    const t = tleData[index];
+    const shard = sgp4Pool.find((s) => index >= s.start && index < s.start + s.count);
+    if (!t || !shard) return Promise.resolve(propagateTrack(t, times));
+    return new Promise((resolve) => {
+        const seq = ++sgp4TrackSeq;
+        sgp4Tracks.set(seq, { t: t, times: times, resolve: resolve });
+        shard.worker.postMessage({ type: 'track', seq: seq, index: index - shard.start, times: times });
+    });
+}
+
+// Main-thread counterpart of the worker 'track' message
+function propagateTrack(t, times) {
+    const out = new Float32Array(times.length * 3);
+    const satrec = getSatrec(t);
+    for (let k = 0; k < times.length && satrec; k++) {
+        try {
+            const p = satellite.propagate(satrec, new Date(times[k])).position;
+            if (!p) continue;
+            out[k * 3] = p.x;
+            out[k * 3 + 1] = p.y;
+            out[k * 3 + 2] = p.z;
+        } catch (e) {}
+    }
+    return out;
+}
+
+function onSgp4BatchReply(msg) {
+    const b = sgp4Batches.get(msg.seq);
+    const part = b ? b.parts.get(msg.shard) : null;
+    if (!part) return;
+    // scatter this shard's [time][listed object] blocks into the batch layout
+    let n = part.local.length * 3;
+    if (msg.positions.length !== b.times.length * n) n = 0; // catalog changed mid-flight; leave this shard zeroed
+    for (let k = 0; k < b.times.length && n > 0; k++) {
+        b.out.set(msg.positions.subarray(k * n, (k + 1) * n), (k * b.count + part.offset) * 3);
+        if (msg.velocities) b.vel.set(msg.velocities.subarray(k * n, (k + 1) * n), (k * b.count + part.offset) * 3);
+    }
+    b.pending--;
+    if (b.pending === 0) {
+        sgp4Batches.delete(msg.seq);
+        b.resolve(b);
+    }
+}
+
+// Start a new interpolation span: prev <- where the points are drawn right now, next <- fresh ECI km
+// positions propagated to simulation time `time` (ms). `status` holds the per-object propagation codes,
+// `vel` the matching velocities (km/s); without them the span falls back to the straight chord.
+function commitSatPositions(arr, time, status, vel) {
+    if (typeof time !== 'number') time = (simTime || new Date()).getTime();
+    if (status) applySatStatus(status);
+    // keep a separate copy for interpolation / ISS lookups
+    if (!window._tleLatestBuffer || window._tleLatestBuffer.length !== arr.length) {
+        window._tleLatestBuffer = new Float32Array(arr.length);
+    }
+    window._tleLatestBuffer.set(arr);
+    if (prevSatBuffer && nextSatBuffer && tlePoints && tlePoints.geometry && nextSatBuffer.length === arr.length) {
+        const now = (simTime || new Date()).getTime();
+        if (satBuffersFresh) {
+            // buffers were just allocated (or time jumped): snap both ends
+            prevSatBuffer.set(arr);
+            if (vel) prevVelBuffer.set(vel);
+            satPrevTime = time;
+        } else {
+            // collapse the current span at the clock (position and velocity) so motion stays smooth whatever the rate
+            const u = satInterpAt(now);
+            for (let i = 0; i < prevSatBuffer.length; i++) {
+                const p = satHermite(i, u);
+                prevVelBuffer[i] = satHermite(i, u, true);
+                prevSatBuffer[i] = p;
+            }
+            satPrevTime = now;
+        }
+        nextSatBuffer.set(arr);
+        satNextTime = time;
+        if (vel) {
+            nextVelBuffer.set(vel);
+        } else {
+            // chord tangents at both ends turn the Hermite curve into the straight line
+            const spanS = (satNextTime - satPrevTime) / 1000;
+            for (let i = 0; i < nextVelBuffer.length; i++) {
+                nextVelBuffer[i] = spanS !== 0 ? (nextSatBuffer[i] - prevSatBuffer[i]) / spanS : 0;
+                prevVelBuffer[i] = nextVelBuffer[i];
+            }
+        }
+        satBuffersFresh = false;
+        ['a_posPrev', 'a_posNext', 'a_velPrev', 'a_velNext'].forEach((name) => {
+            const attr = tlePoints.geometry.getAttribute(name);
+            if (attr) attr.needsUpdate = true;
+        });
+        if (tlePoints.material && tlePoints.material.uniforms) {
+            tlePoints.material.uniforms.u_interp.value = satInterpAt(now);
+            tlePoints.material.uniforms.u_span.value = (satNextTime - satPrevTime) / 1000;
+        }
+    } else if (tlePositionsAttr && tlePositionsAttr.array.length === arr.length) {
+        // fallback: update the position attribute directly
+        tlePositionsAttr.array.set(arr);
+        tlePositionsAttr.needsUpdate = true;
+    }
+}
+
+// Parsed satrec for a tleData entry (main thread), parsed once and cached
+function getSatrec(t) {
+    if (!t || !t.tle1 || !t.tle2 || typeof satellite === 'undefined') return null;
+    let rec = satrecCache.get(t);
+    if (rec === undefined) {
+        try { rec = satellite.twoline2satrec(t.tle1, t.tle2); } catch (e) { rec = null; }
+        // malformed lines parse "successfully" into NaN elements
+        if (rec && !(isFinite(rec.no) && isFinite(rec.ecco))) rec = null;
+        satrecCache.set(t, rec);
+    }
+    return rec;
+}
+
+// NORAD catalog number for a tleData entry (columns 3-7 of line 1)
+function tleNorad(t) {
+    if (t && t.norad) return String(t.norad);
+    return (t && t.tle1) ? t.tle1.substring(2, 7).trim() : '';
 }
 
 // Wire UI checkboxes to toggle functions after DOM available
@@ -284,7 +632,9 @@ function wireUiToggles() {
         ['chk-satellites', 'satellitesEnabled', updateSatellitesVisibility],
         ['chk-currents', 'currentsEnabled', updateCurrentsVisibility],
     ['chk-moon', 'moonEnabled', updateMoonVisibility],
-    ['chk-magnetic', 'magneticEnabled', updateMagneticVisibility]
+    ['chk-magnetic', 'magneticEnabled', updateMagneticVisibility],
+    ['chk-constellations', 'constellationLinesShown', setConstellationLinesShown],
+    ['chk-constellation-names', 'constellationNamesShown', setConstellationNamesShown]
     ];
 
     map.forEach(([id, , fn]) => {
@@ -352,6 +702,8 @@ function wireUiToggles() {
             const v = parseFloat(sunRange.value || sunDistance);
             sunDistance = v;
             if (sunVal) sunVal.textContent = v.toFixed(2);
+            // reposition immediately (the clock may be paused)
+            updateSunPosition();
             // rescale sun sprite parts for visual consistency
             try {
                 if (sunObject && sunObject.userData) {
@@ -376,14 +728,269 @@ function wireUiToggles() {
             moonDistance = v;
             if (moonVal) moonVal.textContent = v.toFixed(2);
             // reposition moon immediately
-            try { if (moonObject) moonObject.position.setLength(moonDistance); } catch (e) {}
+            updateMoonPosition();
+            updateTides();
         });
         try { moonRange.oninput = () => { const v = parseFloat(moonRange.value || moonDistance); moonDistance = v; if (moonVal) moonVal.textContent = v.toFixed(2); }; } catch (e) {}
     }
+    const moonTrue = document.getElementById('chk-moon-true-distance');
+    if (moonTrue) {
+        moonTrue.checked = moonTrueDistance;
+        moonTrue.addEventListener('change', () => {
+            moonTrueDistance = !!moonTrue.checked;
+            if (moonRange) moonRange.disabled = moonTrueDistance;
+            // let the camera back out far enough to see the whole lunar orbit (~60 Earth radii)
+            if (controls) controls.maxDistance = moonTrueDistance ? 150 : 10;
+            updateMoonPosition();
+        });
+    }
+
+    // satellite altitude scaling (true scale vs. compressed so GEO stays on screen)
+    const altSel = document.getElementById('sel-altitude-scale');
+    if (altSel) {
+        setAltitudeMode(altSel.value);
+        altSel.addEventListener('change', () => { console.log('ui-change sel-altitude-scale', altSel.value); setAltitudeMode(altSel.value); });
+    }
+
+    // satellite color scheme (orbit regime, object type, launch year, ...)
+    const colorSel = document.getElementById('sel-color-scheme');
+    if (colorSel) {
+        colorSel.addEventListener('change', () => { console.log('ui-change sel-color-scheme', colorSel.value); setSatColorScheme(colorSel.value); });
+    }
 
     // Stars and comet UI removed; behavior is now automatic
 }
 
+// Time controls: play/pause, reverse, single step, now, rate multiplier and jump-to-date
+function wireTimeControls() {
+    const playBtn = document.getElementById('btn-time-play');
+    if (playBtn) playBtn.addEventListener('click', () => simClock.togglePause());
+    const revBtn = document.getElementById('btn-time-reverse');
+    if (revBtn) revBtn.addEventListener('click', () => simClock.reverse());
+    const stepBtn = document.getElementById('btn-time-step');
+    if (stepBtn) stepBtn.addEventListener('click', () => simClock.step());
+    const nowBtn = document.getElementById('btn-time-now');
+    if (nowBtn) nowBtn.addEventListener('click', () => simClock.now());
+
+    const rateSel = document.getElementById('sel-time-rate');
+    if (rateSel) {
+        rateSel.addEventListener('change', () => {
+            console.log('ui-change sel-time-rate', rateSel.value);
+            // keep the current direction of travel; the reverse button flips it
+            const mag = Math.abs(parseFloat(rateSel.value) || 1);
+            simClock.setRate(simClock.rate < 0 ? -mag : mag);
+        });
+    }
+
+    const dtInput = document.getElementById('inp-datetime');
+    const jumpBtn = document.getElementById('btn-time-jump');
+    const jump = () => {
+        if (!dtInput || !dtInput.value.trim()) return;
+        const ok = simClock.jumpTo(dtInput.value.trim());
+        dtInput.classList.toggle('is-invalid', !ok);
+    };
+    if (jumpBtn) jumpBtn.addEventListener('click', jump);
+    if (dtInput) dtInput.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') jump(); });
+}
+
+// Clock subscriber: reflect simTime, rate and pause state in the time controls
+let lastTimeUiSecond = null;
+function updateTimeUi(date, kind) {
+    const sec = Math.floor(simTime.getTime() / 1000);
+    if (kind === 'tick' && sec === lastTimeUiSecond) return; // only touch the DOM when the readout changes
+    lastTimeUiSecond = sec;
+    const readout = document.getElementById('time-readout');
+    if (readout) readout.textContent = simTime.toISOString().slice(0, 19).replace('T', ' ') + ' UTC';
+    const playBtn = document.getElementById('btn-time-play');
+    if (playBtn) playBtn.textContent = simClock.paused ? '▶' : '⏸';
+    const rateVal = document.getElementById('val-time-rate');
+    if (rateVal) rateVal.textContent = (simClock.paused ? 0 : simClock.rate) + 'x';
+    const rateSel = document.getElementById('sel-time-rate');
+    if (rateSel && kind !== 'tick') {
+        const mag = String(Math.abs(simClock.rate));
+        if (Array.from(rateSel.options).some((o) => o.value === mag)) rateSel.value = mag;
+    }
+}
+
+// --- Timeline scrubber ---
+// A bar along the bottom of the screen covering timelineSpanDays around simTime. Dragging it scrubs the clock;
+// markers show new/full moons, equinoxes, solstices and eclipses found with the Astronomy ephemerides.
+let timelineSpanDays = 14;
+let timelineStart = 0; // ms
+let timelineEvents = [];
+let timelineEventsRange = null; // { start, end } the cached events cover
+let timelineDragging = false;
+let timelineLastJump = 0;
+const TIMELINE_DRAG_JUMP_MS = 100; // throttle clock jumps while dragging
+
+// Find times in [startMs, endMs] where f(t) (degrees, increasing through 0..360) crosses `target`.
+// Sampled every stepMs, then refined by bisection to ~1 minute.
+function findAngleCrossings(f, target, startMs, endMs, stepMs) {
+    const out = [];
+    const wrap = (a) => ((a - target) % 360 + 540) % 360 - 180; // signed distance to target, -180..180
+    let t0 = startMs;
+    let a0 = wrap(f(t0));
+    for (let t1 = startMs + stepMs; t1 <= endMs + stepMs; t1 += stepMs) {
+        const a1 = wrap(f(t1));
+        // a rising crossing of zero (ignore the +-180 wrap on the far side)
+        if (a0 < 0 && a1 >= 0 && a1 - a0 < 90) {
+            let lo = t0;
+            let hi = t1;
+            while (hi - lo > 60000) {
+                const mid = (lo + hi) / 2;
+                if (wrap(f(mid)) < 0) lo = mid; else hi = mid;
+            }
+            const t = (lo + hi) / 2;
+            if (t >= startMs && t <= endMs) out.push(t);
+        }
+        t0 = t1;
+        a0 = a1;
+    }
+    return out;
+}
+
+// Precompute astronomical events in [startMs, endMs]: new/full moon, equinoxes, solstices and eclipses
+function computeAstroEvents(startMs, endMs) {
+    const sunLon = (t) => Astronomy.sunPosition(new Date(t)).lon;
+    const phase = (t) => {
+        // Moon-Sun elongation in apparent ecliptic longitude: 0 = new moon, 180 = full moon
+        const d = new Date(t);
+        return Astronomy.moonPosition(d).lon - Astronomy.sunPosition(d).lon;
+    };
+    const events = [];
+    const HOUR = 3600000;
+    findAngleCrossings(phase, 0, startMs, endMs, 6 * HOUR).forEach((t) => {
+        events.push({ time: t, kind: 'new-moon', label: 'New moon' });
+        // solar eclipse somewhere on Earth when the discs overlap as seen from some point on the surface
+        const g = Astronomy.eclipseGeometry(new Date(t));
+        if (g.solarSeparation < g.solarLimit) events.push({ time: t, kind: 'eclipse', label: 'Solar eclipse' });
+    });
+    findAngleCrossings(phase, 180, startMs, endMs, 6 * HOUR).forEach((t) => {
+        events.push({ time: t, kind: 'full-moon', label: 'Full moon' });
+        // shadow radii from the true Sun/Moon distances at this full moon
+        const g = Astronomy.eclipseGeometry(new Date(t));
+        if (g.lunarSeparation < g.umbralLimit) events.push({ time: t, kind: 'eclipse', label: 'Lunar eclipse' });
+        else if (g.lunarSeparation < g.penumbralLimit) events.push({ time: t, kind: 'eclipse', label: 'Penumbral lunar eclipse' });
+    });
+    [[0, 'March equinox', 'equinox'], [90, 'June solstice', 'solstice'], [180, 'September equinox', 'equinox'], [270, 'December solstice', 'solstice']].forEach(([lon, label, kind]) => {
+        findAngleCrossings(sunLon, lon, startMs, endMs, 24 * HOUR).forEach((t) => events.push({ time: t, kind: kind, label: label }));
+    });
+    events.sort((a, b) => a.time - b.time);
+    return events;
+}
+
+function timelineTimeAt(clientX) {
+    const track = document.getElementById('timeline-track');
+    if (!track) return simTime.getTime();
+    const rect = track.getBoundingClientRect();
+    const f = THREE.MathUtils.clamp((clientX - rect.left) / Math.max(1, rect.width), 0, 1);
+    return timelineStart + f * timelineSpanDays * 86400000;
+}
+
+// Move the window so simTime sits in its centre and rebuild the markers
+function recenterTimeline() {
+    const span = timelineSpanDays * 86400000;
+    timelineStart = simTime.getTime() - span / 2;
+    const end = timelineStart + span;
+    // events are cached for a wider range so small shifts don't recompute them
+    if (!timelineEventsRange || timelineStart < timelineEventsRange.start || end > timelineEventsRange.end) {
+        const pad = span;
+        timelineEventsRange = { start: timelineStart - pad, end: end + pad };
+        try { timelineEvents = computeAstroEvents(timelineEventsRange.start, timelineEventsRange.end); } catch (e) { console.warn('computeAstroEvents failed', e); timelineEvents = []; }
+    }
+    renderTimelineMarkers();
+}
+
+function renderTimelineMarkers() {
+    const markers = document.getElementById('timeline-markers');
+    if (!markers) return;
+    markers.innerHTML = '';
+    const span = timelineSpanDays * 86400000;
+    const glyphs = { 'new-moon': '●', 'full-moon': '○', 'equinox': '◐', 'solstice': '☀', 'eclipse': '◉' };
+    timelineEvents.forEach((ev) => {
+        if (ev.time < timelineStart || ev.time > timelineStart + span) return;
+        const m = document.createElement('button');
+        m.type = 'button';
+        m.className = 'timeline-marker timeline-' + ev.kind;
+        m.style.left = ((ev.time - timelineStart) / span * 100) + '%';
+        m.textContent = glyphs[ev.kind] || '•';
+        m.title = ev.label + ' — ' + new Date(ev.time).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+        m.addEventListener('pointerdown', (e) => e.stopPropagation());
+        m.addEventListener('click', (e) => { e.stopPropagation(); simClock.jumpTo(new Date(ev.time)); });
+        markers.appendChild(m);
+    });
+    const startEl = document.getElementById('timeline-start');
+    const endEl = document.getElementById('timeline-end');
+    if (startEl) startEl.textContent = new Date(timelineStart).toISOString().slice(0, 10);
+    if (endEl) endEl.textContent = new Date(timelineStart + span).toISOString().slice(0, 10);
+}
+
+// Clock subscriber: move the cursor, recentering the window when simTime leaves it
+function updateTimeline() {
+    const cursor = document.getElementById('timeline-cursor');
+    if (!cursor) return;
+    const span = timelineSpanDays * 86400000;
+    const f = (simTime.getTime() - timelineStart) / span;
+    if (!timelineDragging && (f < 0.02 || f > 0.98)) {
+        recenterTimeline();
+        return updateTimeline();
+    }
+    cursor.style.left = (THREE.MathUtils.clamp(f, 0, 1) * 100) + '%';
+}
+
+// Jump to the next event of a kind after simTime (e.g. timelineJumpToNext('full-moon')); returns the event
+function timelineJumpToNext(kind) {
+    const now = simTime.getTime() + 60000;
+    let ev = timelineEvents.find((e) => e.time > now && (!kind || e.kind === kind));
+    if (!ev) {
+        // look further ahead than the cached range
+        ev = computeAstroEvents(now, now + 400 * 86400000).find((e) => !kind || e.kind === kind);
+    }
+    if (ev) simClock.jumpTo(new Date(ev.time));
+    return ev || null;
+}
+
+function createTimeline() {
+    const track = document.getElementById('timeline-track');
+    if (!track) return;
+    const scrub = (clientX, force) => {
+        const nowPerf = performance.now();
+        if (!force && nowPerf - timelineLastJump < TIMELINE_DRAG_JUMP_MS) return;
+        timelineLastJump = nowPerf;
+        simClock.jumpTo(new Date(timelineTimeAt(clientX)));
+    };
+    track.addEventListener('pointerdown', (ev) => {
+        timelineDragging = true;
+        try { track.setPointerCapture(ev.pointerId); } catch (e) {}
+        scrub(ev.clientX, true);
+    });
+    track.addEventListener('pointermove', (ev) => { if (timelineDragging) scrub(ev.clientX, false); });
+    const endDrag = (ev) => {
+        if (!timelineDragging) return;
+        timelineDragging = false;
+        scrub(ev.clientX, true);
+        updateTimeline();
+    };
+    track.addEventListener('pointerup', endDrag);
+    track.addEventListener('pointercancel', endDrag);
+
+    const spanSel = document.getElementById('sel-timeline-span');
+    if (spanSel) {
+        timelineSpanDays = parseFloat(spanSel.value) || timelineSpanDays;
+        spanSel.addEventListener('change', () => {
+            timelineSpanDays = parseFloat(spanSel.value) || 14;
+            timelineEventsRange = null;
+            recenterTimeline();
+            updateTimeline();
+        });
+    }
+    const nextFull = document.getElementById('btn-next-full-moon');
+    if (nextFull) nextFull.addEventListener('click', () => timelineJumpToNext('full-moon'));
+
+    recenterTimeline();
+    simClock.onChange(updateTimeline);
+}
+
 // Swap earth material between simple Phong and MeshStandard PBR
 function setEarthMaterial(usePbr) {
     if (!earth) return;
@@ -407,79 +1014,67 @@ function setEarthMaterial(usePbr) {
     try { if (old && old.dispose) old.dispose(); } catch (e) {}
 }
 
-// CPU fallback: when worker is not present, compute TLE positions on main thread and update prev/next buffers for GPU interpolation
-async function updateTLEPositionsFallback() {
-    if (!tleData || tleData.length === 0) return;
-    const now = new Date();
-    const gmst = satellite.gstime(now);
-    const count = tleData.length;
-    // prepare a temporary Float32Array for new positions
-    const arr = new Float32Array(count * 3);
-    for (let i = 0; i < count; i++) {
+// Main-thread propagation of the whole catalog (or of the catalog indices in `list`, packed in list order) to
+// `date`, writing ECI km into out[offset..]. Entries without a usable TLE keep their current buffer value.
+function propagateCatalogInto(out, offset, date, status, vel, list) {
+    const count = list ? list.length : tleData.length;
+    for (let j = 0; j < count; j++) {
+        const i = list ? list[j] : j;
+        const o = offset + j * 3;
+        const t = tleData[i];
+        if (!t.tle1 || !t.tle2) {
+            // keep existing placeholder
+            out[o + 0] = nextSatBuffer ? nextSatBuffer[i * 3 + 0] : EARTH_RADIUS_KM * 1.1;
+            out[o + 1] = nextSatBuffer ? nextSatBuffer[i * 3 + 1] : 0.0;
+            out[o + 2] = nextSatBuffer ? nextSatBuffer[i * 3 + 2] : 0.0;
+            if (status) status[j] = SAT_STATUS_OK;
+            continue;
+        }
+        // same codes as the worker: failures are zeroed and explained, never left frozen in place
+        const satrec = getSatrec(t);
+        let code = SAT_STATUS_OK;
         try {
-            const t = tleData[i];
-            if (!t.tle1 || !t.tle2) {
-                // keep existing placeholder
-                arr[i * 3 + 0] = nextSatBuffer ? nextSatBuffer[i * 3 + 0] : 1.1;
-                arr[i * 3 + 1] = nextSatBuffer ? nextSatBuffer[i * 3 + 1] : 0.0;
-                arr[i * 3 + 2] = nextSatBuffer ? nextSatBuffer[i * 3 + 2] : 0.0;
-                continue;
+            const pv = satrec ? satellite.propagate(satrec, date) : null;
+            const p = pv ? pv.position : null;
+            if (!satrec) {
+                code = SAT_STATUS_NO_SATREC;
+            } else if (!p || !isFinite(p.x) || !isFinite(p.y) || !isFinite(p.z)) {
+                code = satrec.error || SAT_STATUS_NO_POSITION;
+            } else if (Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z) < EARTH_RADIUS_KM + SAT_REENTRY_ALT_KM) {
+                code = SAT_STATUS_REENTERED;
+            } else {
+                // ECI km; the shader applies the altitude scaling
+                out[o + 0] = p.x;
+                out[o + 1] = p.y;
+                out[o + 2] = p.z;
+                if (vel) {
+                    vel[o + 0] = pv.velocity.x;
+                    vel[o + 1] = pv.velocity.y;
+                    vel[o + 2] = pv.velocity.z;
+                }
             }
-            const satrec = satellite.twoline2satrec(t.tle1, t.tle2);
-            const p = satellite.propagate(satrec, now).position;
-            if (!p) continue;
-            const geo = satellite.eciToGeodetic(p, gmst);
-            const lon = (geo.longitude * 180) / Math.PI;
-            const lat = (geo.latitude * 180) / Math.PI;
-            const phi = (90 - lat) * (Math.PI / 180);
-            const theta = (lon + 180) * (Math.PI / 180);
-            const r = 1.1;
-            const x = r * Math.sin(phi) * Math.cos(theta);
-            const y = r * Math.cos(phi);
-            const z = r * Math.sin(phi) * Math.sin(theta);
-            arr[i * 3 + 0] = x;
-            arr[i * 3 + 1] = y;
-            arr[i * 3 + 2] = z;
         } catch (e) {
-            // keep previous value if error
-            arr[i * 3 + 0] = nextSatBuffer ? nextSatBuffer[i * 3 + 0] : 0;
-            arr[i * 3 + 1] = nextSatBuffer ? nextSatBuffer[i * 3 + 1] : 0;
-            arr[i * 3 + 2] = nextSatBuffer ? nextSatBuffer[i * 3 + 2] : 0;
+            code = (satrec && satrec.error) || SAT_STATUS_NO_POSITION;
         }
-    }
-    // if buffers available, slide next -> prev, set next to arr
-    if (prevSatBuffer && nextSatBuffer) {
-        prevSatBuffer.set(nextSatBuffer);
-        nextSatBuffer.set(arr);
-        const aPrev = tlePoints.geometry.getAttribute('a_posPrev');
-        const aNext = tlePoints.geometry.getAttribute('a_posNext');
-        if (aPrev) aPrev.needsUpdate = true;
-        if (aNext) aNext.needsUpdate = true;
-        if (tlePoints.material && tlePoints.material.uniforms) {
-            tlePoints.material.uniforms.u_interp.value = 0.0;
-            satInterpStart = performance.now() / 1000.0;
+        if (code !== SAT_STATUS_OK) {
+            out[o + 0] = 0;
+            out[o + 1] = 0;
+            out[o + 2] = 0;
+            if (vel) vel.fill(0, o, o + 3);
         }
-    } else if (tlePositionsAttr) {
-        // fallback: update the position attribute directly
-        tlePositionsAttr.array.set(arr);
-        tlePositionsAttr.needsUpdate = true;
+        if (status) status[j] = code;
     }
-    // update copy for ISS lookup
-    if (!window._tleLatestBuffer || window._tleLatestBuffer.length !== arr.length) window._tleLatestBuffer = new Float32Array(arr.length);
-    window._tleLatestBuffer.set(arr);
-    lastTleUpdate = Date.now();
 }
 
-// helper: format Date -> datetime-local value
-function toLocalDatetimeInputValue(d) {
-    const pad = (n) => String(n).padStart(2, '0');
-    const year = d.getFullYear();
-    const month = pad(d.getMonth() + 1);
-    const day = pad(d.getDate());
-    const hrs = pad(d.getHours());
-    const mins = pad(d.getMinutes());
-    const secs = pad(d.getSeconds());
-    return `${year}-${month}-${day}T${hrs}:${mins}:${secs}`;
+// CPU fallback: when worker is not present, compute TLE positions on main thread at simTime and update prev/next buffers for GPU interpolation
+async function updateTLEPositionsFallback(leadMs) {
+    if (!tleData || tleData.length === 0) return;
+    const time = (simTime || new Date()).getTime() + (typeof leadMs === 'number' ? leadMs : satLeadMs());
+    const arr = new Float32Array(tleData.length * 3);
+    const vel = new Float32Array(tleData.length * 3);
+    const status = new Uint8Array(tleData.length);
+    propagateCatalogInto(arr, 0, new Date(time), status, vel);
+    commitSatPositions(arr, time, status, vel);
 }
 
 // Placeholder implementations for toggles (will be filled when groups created)
@@ -518,21 +1113,68 @@ function createSatellites() {
     const satVertexShader = `
         attribute vec3 a_posPrev;
         attribute vec3 a_posNext;
+        attribute vec3 a_velPrev;
+        attribute vec3 a_velNext;
+        attribute float a_visible;
+        attribute vec3 a_color;
+        attribute float a_size;
+        varying vec3 v_color;
+        varying float v_lit;
         uniform float u_interp;
+        uniform float u_span;
+        uniform vec3 u_sunDir;
         uniform float u_pointSize;
+        uniform float u_altMode;
+        const float EARTH_RADIUS_KM = ${EARTH_RADIUS_KM.toFixed(1)};
+        // ECI km -> scene units (keep in sync with satKmToScene)
+        vec3 eciToScene(vec3 km) {
+            float rKm = max(length(km), 1e-3);
+            float h = max(rKm - EARTH_RADIUS_KM, 0.0);
+            float r = u_altMode > 0.5
+                ? 1.0 + ${ALT_COMPRESS_SCALE.toFixed(4)} * log(1.0 + h / ${ALT_COMPRESS_H0_KM.toFixed(1)})
+                : 1.0 + h / EARTH_RADIUS_KM;
+            return vec3(km.x, km.z, -km.y) * (r / rKm);
+        }
+        // sunlit fraction of a scene-oriented km position: 0 in the umbra, 1 in full sun (keep in sync with satShadowFraction)
+        float sunlitFraction(vec3 p) {
+            float s = dot(p, u_sunDir);
+            if (s >= 0.0) return 1.0;
+            float d = length(p - s * u_sunDir);
+            float rUmbra = EARTH_RADIUS_KM + s * ${SHADOW_UMBRA_TAN.toExponential(6)};
+            float rPenumbra = EARTH_RADIUS_KM - s * ${SHADOW_PENUMBRA_TAN.toExponential(6)};
+            return clamp((d - rUmbra) / (rPenumbra - rUmbra), 0.0, 1.0);
+        }
         void main() {
-            vec3 pos = mix(a_posPrev, a_posNext, u_interp);
+            // filtered-out objects collapse to nothing (clip-space point outside the view volume)
+            if (a_visible < 0.5) {
+                gl_PointSize = 0.0;
+                gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                return;
+            }
+            // cubic Hermite along the orbit, tangents = velocity (km/s) * span (s); keep in sync with satHermite
+            float u = u_interp;
+            float u2 = u * u;
+            float u3 = u2 * u;
+            vec3 km = (2.0 * u3 - 3.0 * u2 + 1.0) * a_posPrev + (u3 - 2.0 * u2 + u) * u_span * a_velPrev
+                + (3.0 * u2 - 2.0 * u3) * a_posNext + (u3 - u2) * u_span * a_velNext;
+            vec3 pos = eciToScene(km);
+            v_lit = sunlitFraction(vec3(km.x, km.z, -km.y));
             vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-            gl_PointSize = u_pointSize / -mvPosition.z;
+            gl_PointSize = u_pointSize * a_size / -mvPosition.z;
             gl_Position = projectionMatrix * mvPosition;
+            v_color = a_color;
         }
     `;
     const satFragmentShader = `
+        varying vec3 v_color;
+        varying float v_lit;
         void main() {
             vec2 c = gl_PointCoord - vec2(0.5);
             float r = length(c);
             if (r > 0.5) discard;
-            gl_FragColor = vec4(1.0, 0.67, 0.0, 1.0);
+            // eclipsed objects fade to a dim blue-grey through the penumbra
+            vec3 shadowed = v_color * 0.22 + vec3(0.02, 0.03, 0.08);
+            gl_FragColor = vec4(mix(shadowed, v_color, v_lit), 1.0);
         }
     `;
     const satGeom = new THREE.BufferGeometry();
@@ -543,213 +1185,3721 @@ function createSatellites() {
         depthWrite: false,
         uniforms: {
             u_interp: { value: 0.0 },
-            u_pointSize: { value: 6.0 }
+            u_span: { value: 0.0 },
+            u_pointSize: { value: 6.0 },
+            u_altMode: { value: altitudeMode === 'compressed' ? 1.0 : 0.0 },
+            u_sunDir: { value: new THREE.Vector3(1, 0, 0) }
         }
     }));
     satellitesGroup.add(tlePoints);
     tlePoints.frustumCulled = false;
 
-    // ISS removed: no per-satellite highlight mesh created
+    // ISS removed: no per-satellite highlight mesh created
+
+    scene.add(satellitesGroup);
+
+    // highlight for the selected (clicked) satellite
+    createSelectedMarker();
+    createSatTrack();
+
+    // create ISS placeholder/model
+    createISSModel();
+
+    // Fetch TLEs from CelesTrak (active satellites)
+    fetchTLES();
+}
+
+// Load a small ISS GLTF model (fallback to a simple box if loader unavailable)
+function createISSModel() {
+    issObject = new THREE.Group();
+    issObject.visible = false;
+    // create a simple placeholder first
+    const placeholder = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.02, 0.06), new THREE.MeshStandardMaterial({ color: 0xdddddd }));
+    placeholder.castShadow = true;
+    issObject.add(placeholder);
+    scene.add(issObject);
+
+    // attempt to load GLTF if GLTFLoader available
+    if (window.THREE && window.THREE.GLTFLoader) {
+        try {
+            const loader = new THREE.GLTFLoader();
+            // small lightweight ISS model URL (public placeholder)
+            const url = 'https://raw.githubusercontent.com/NASA/threejs-examples-assets/main/models/ISS/ISS.gltf';
+            loader.load(url, (g) => {
+                // scale and orient
+                const model = g.scene || g.scenes[0];
+                model.scale.set(0.02, 0.02, 0.02);
+                model.rotation.x = Math.PI / 2;
+                // remove placeholder and attach model
+                issObject.clear();
+                issObject.add(model);
+            }, undefined, (err) => {
+                // leave placeholder
+                console.warn('ISS model load failed', err);
+            });
+        } catch (e) {
+            // ignore
+        }
+    }
+}
+
+// find TLE index for the ISS (by NORAD catalog number; names like "SWISSCUBE" must not match)
+function findIssTleIndex() {
+    return findTleIndexByNorad(ISS_NORAD);
+}
+
+// Fetch every enabled catalog source and merge them into tleData (see "Catalog sources" below)
+async function fetchTLES() {
+    tleSources = loadTleSources();
+    // show the cached catalog right away; the fetches below refresh it
+    const cached = await readTleCache();
+    if (tleCacheHasEntries(cached) && catalogSourceEntries.size === 0) {
+        restoreCachedSources(cached);
+        rebuildCatalogFromSources();
+        catalogInfo = { source: cached.source, loadedAt: cached.loadedAt, fromCache: true };
+        renderCatalogAge();
+        console.log('Using cached catalog from', new Date(cached.loadedAt).toISOString());
+    }
+    // sources switched off since the last load drop out; files stay until removed
+    let dropped = 0;
+    catalogSourceEntries.forEach((v, label) => {
+        if (v.kind === 'url' && !tleSources.some((src) => src.enabled && src.label === label)) {
+            catalogSourceEntries.delete(label);
+            dropped++;
+        }
+    });
+    const enabled = tleSources.filter((src) => src.enabled);
+    const loaded = (await Promise.all(enabled.map(fetchTleSource))).filter(Boolean);
+    renderSourceList();
+    if (loaded.length > 0) {
+        rebuildCatalogFromSources();
+        cacheCatalog(loaded.join(', '));
+        return;
+    }
+    console.warn('Failed to fetch TLEs:', enabled.length ? 'no source could be loaded' : 'no catalog sources enabled');
+    // the cached catalog or imported files (minus any source switched off) already fill the scene
+    if (catalogSourceEntries.size > 0) {
+        if (dropped > 0) rebuildCatalogFromSources();
+        return;
+    }
+    if (tleData.some((t) => t.tle1)) return; // designer constellations only
+    // Fallback: create a few synthetic satellites so user sees something
+    console.log('Using synthetic satellite fallback');
+    tleData = [];
+    for (let i = 0; i < 12; i++) {
+        tleData.push({ name: 'SYNTH-' + i, tle1: '', tle2: '' });
+    }
+    const count = tleData.length;
+    const positions = new Float32Array(count * 3);
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    tlePoints.geometry.dispose();
+    tlePoints.geometry = geom;
+    tlePositionsAttr = geom.getAttribute('position');
+    // populate synthetic positions
+    for (let i = 0; i < tleData.length; i++) {
+        const a = (i / tleData.length) * Math.PI * 2;
+        const r = 1.1;
+        tlePositionsAttr.array[i * 3 + 0] = r * Math.cos(a);
+        tlePositionsAttr.array[i * 3 + 1] = r * Math.sin(a) * 0.2;
+        tlePositionsAttr.array[i * 3 + 2] = r * Math.sin(a);
+    }
+    tlePositionsAttr.needsUpdate = true;
+}
+
+// (Re)allocate the prev/next GPU buffers and geometry to match tleData
+function allocateSatBuffers() {
+    const count = tleData.length;
+    tleCount = count;
+    // allocate prev/next buffers
+    prevSatBuffer = new Float32Array(count * 3);
+    nextSatBuffer = new Float32Array(count * 3);
+    // initialize with a placeholder ring (ECI km) so shader has valid data
+    for (let i = 0; i < count; i++) {
+        const a = (i / count) * Math.PI * 2;
+        const r = EARTH_RADIUS_KM * 1.1;
+        prevSatBuffer[i * 3 + 0] = r * Math.cos(a);
+        prevSatBuffer[i * 3 + 1] = r * Math.sin(a);
+        prevSatBuffer[i * 3 + 2] = r * Math.sin(a) * 0.1;
+        nextSatBuffer[i * 3 + 0] = prevSatBuffer[i * 3 + 0];
+        nextSatBuffer[i * 3 + 1] = prevSatBuffer[i * 3 + 1];
+        nextSatBuffer[i * 3 + 2] = prevSatBuffer[i * 3 + 2];
+    }
+    const geom = new THREE.BufferGeometry();
+    prevVelBuffer = new Float32Array(count * 3);
+    nextVelBuffer = new Float32Array(count * 3);
+    geom.setAttribute('a_posPrev', new THREE.BufferAttribute(prevSatBuffer, 3));
+    geom.setAttribute('a_posNext', new THREE.BufferAttribute(nextSatBuffer, 3));
+    geom.setAttribute('a_velPrev', new THREE.BufferAttribute(prevVelBuffer, 3));
+    geom.setAttribute('a_velNext', new THREE.BufferAttribute(nextVelBuffer, 3));
+    // per-vertex visibility (search / filter chips), 1 = drawn
+    satVisibleBuffer = new Float32Array(count).fill(1);
+    geom.setAttribute('a_visible', new THREE.BufferAttribute(satVisibleBuffer, 1));
+    // per-vertex color / size from the active color scheme
+    satColorBuffer = new Float32Array(count * 3);
+    satSizeBuffer = new Float32Array(count).fill(1);
+    geom.setAttribute('a_color', new THREE.BufferAttribute(satColorBuffer, 3));
+    geom.setAttribute('a_size', new THREE.BufferAttribute(satSizeBuffer, 1));
+    // data health: propagation status per object (filled by the first update) and TLE epochs for staleness
+    satStatusCodes = new Uint8Array(count);
+    satHealthFlags = new Uint8Array(count);
+    satEpochMs = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        const epoch = tleEpochDate(getSatrec(tleData[i]));
+        satEpochMs[i] = epoch ? epoch.getTime() : NaN;
+    }
+    tlePoints.geometry.dispose();
+    tlePoints.geometry = geom;
+    // keep a conventional positions attr for fallback uses
+    tlePositionsAttr = geom.getAttribute('a_posNext');
+    satBuffersFresh = true;
+    rebuildTleIndex();
+    renderSourceChips();
+    updateSatVisibility();
+    updateSatColors();
+    renderCatalogAge();
+}
+
+// Append TLE entries to the live catalog; the last worker shard parses and owns them
+function addTLEs(entries) {
+    if (!entries || entries.length === 0) return;
+    entries.forEach((t) => { if (!t.norad && t.tle1) t.norad = t.tle1.substring(2, 7).trim(); });
+    tleData = tleData.concat(entries);
+    if (sgp4Pool.length > 0) {
+        const last = sgp4Pool[sgp4Pool.length - 1];
+        last.worker.postMessage({ type: 'addTLE', tle: entries });
+        last.count += entries.length;
+        updateSgp4Offsets();
+    }
+    allocateSatBuffers();
+    if (!requestSatUpdate(true)) updateTLEPositionsFallback();
+}
+
+// Remove TLE entries by NORAD catalog number from the live catalog and every worker shard
+function removeTLEs(noradIds) {
+    const ids = new Set((noradIds || []).map(String));
+    if (ids.size === 0) return;
+    // shard counts shrink by however many of their own entries are dropped
+    sgp4Pool.forEach((s) => {
+        let removed = 0;
+        for (let i = s.start; i < s.start + s.count; i++) if (ids.has(tleNorad(tleData[i]))) removed++;
+        s.count -= removed;
+        s.worker.postMessage({ type: 'removeTLE', ids: Array.from(ids) });
+    });
+    updateSgp4Offsets();
+    tleData = tleData.filter((t) => !ids.has(tleNorad(t)));
+    allocateSatBuffers();
+    if (!requestSatUpdate(true)) updateTLEPositionsFallback();
+}
+
+// Update positions of tlePoints using satellite.js propagation (worker pool when available)
+function updateTLEPositions() {
+    if (!tleData || tleData.length === 0 || !tlePositionsAttr) return;
+    if (!requestSatUpdate()) updateTLEPositionsFallback();
+}
+
+// schedule periodic TLE updates using worker or local propagation
+function startTleUpdateLoop() {
+    if (tleUpdateTimer) clearInterval(tleUpdateTimer);
+    tleUpdateTimer = setInterval(() => {
+        maybeRequestSatUpdate();
+    }, TLE_UPDATE_MS);
+}
+
+function stopTleUpdateLoop() {
+    if (tleUpdateTimer) { clearInterval(tleUpdateTimer); tleUpdateTimer = null; }
+}
+
+// --- Satellite picking & details card ---
+// tlePoints is drawn entirely by the shader, so picking runs against CPU-side copies of the current (interpolated)
+// scene positions, refreshed when they are older than SAT_PICK_INDEX_MAX_AGE_MS. Those are projected into a grid
+// of screen cells (SAT_PICK_CELL_PX square) whenever the camera or viewport changes, and a pick
+// only looks at the cells within the tolerance of the cursor.
+const SAT_PICK_CELL_PX = 16;
+const SAT_PICK_INDEX_MAX_AGE_MS = 250;
+const SAT_PICK_TOLERANCE_PX = 8;
+let satPickIndex = null; // { pos, builtAt, catalog, view, cols, rows, cellStart, cellItems, screen } (typed arrays)
+let satCatalogVersion = 0; // bumped whenever tleData is replaced or resized
+let tleIndexByNorad = new Map();
+let selectedSatNorad = null;
+let selectedMarker = null;
+let satHoverIndex = -1;
+let satInfoUpdatedAt = 0;
+
+// NORAD -> tleData index lookup, rebuilt whenever the catalog changes
+function rebuildTleIndex() {
+    tleIndexByNorad = new Map();
+    tleData.forEach((t, i) => { const id = tleNorad(t); if (id) tleIndexByNorad.set(id, i); });
+    satCatalogVersion++;
+    satPickIndex = null;
+}
+
+function findTleIndexByNorad(norad) {
+    let i = tleIndexByNorad.get(String(norad));
+    // TLE catalog numbers are zero-padded to five columns ("00005"); accept either spelling
+    if (i === undefined && /^\d+$/.test(String(norad))) {
+        const n = String(Number(norad));
+        i = tleIndexByNorad.get(n);
+        if (i === undefined) i = tleIndexByNorad.get(n.padStart(5, '0'));
+    }
+    return (i === undefined) ? -1 : i;
+}
+
+// Whether point i may be picked (and is drawn)
+function satPickable(i) {
+    return i >= 0 && i < tleData.length && (!satVisibleBuffer || satVisibleBuffer[i] > 0.5);
+}
+
+// Camera and viewport the screen grid was projected with; any change invalidates it
+function satPickViewKey(rect) {
+    camera.updateMatrixWorld();
+    return Array.prototype.join.call(camera.matrixWorld.elements, ',') + '|' + Array.prototype.join.call(camera.projectionMatrix.elements, ',')
+        + '|' + rect.width + 'x' + rect.height;
+}
+
+// Scene positions of the pickable points (zero = not pickable); the screen grid is left for projectSatPickIndex()
+function buildSatPickIndex() {
+    const count = Math.min(tleData.length, nextSatBuffer ? nextSatBuffer.length / 3 : 0);
+    const pos = new Float32Array(count * 3);
+    const km = new THREE.Vector3();
+    const v = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        if (!satPickable(i)) continue;
+        getSatKm(i, km);
+        if (km.x === 0 && km.y === 0 && km.z === 0) continue;
+        satKmToScene(km.x, km.y, km.z, v);
+        pos[i * 3] = v.x;
+        pos[i * 3 + 1] = v.y;
+        pos[i * 3 + 2] = v.z;
+    }
+    satPickIndex = { pos: pos, builtAt: performance.now(), catalog: satCatalogVersion, view: null };
+    return satPickIndex;
+}
+
+// Bin the positions by projected screen cell for the current camera (counting sort: the points of cell k are
+// cellItems[cellStart[k] .. cellStart[k + 1]))
+function projectSatPickIndex(index, rect, view) {
+    const pos = index.pos;
+    const count = pos.length / 3;
+    const screen = new Float32Array(count * 2); // px from the canvas' top-left corner
+    const cellOf = new Int32Array(count).fill(-1);
+    const cols = Math.ceil(rect.width / SAT_PICK_CELL_PX) + 1;
+    const rows = Math.ceil(rect.height / SAT_PICK_CELL_PX) + 1;
+    const cellStart = new Int32Array(cols * rows + 1);
+    const e = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse).elements;
+    for (let i = 0; i < count; i++) {
+        const x = pos[i * 3], y = pos[i * 3 + 1], z = pos[i * 3 + 2];
+        if (x === 0 && y === 0 && z === 0) continue;
+        const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+        if (w <= 0) continue; // behind the camera
+        const nx = (e[0] * x + e[4] * y + e[8] * z + e[12]) / w;
+        const ny = (e[1] * x + e[5] * y + e[9] * z + e[13]) / w;
+        if (nx < -1 || nx > 1 || ny < -1 || ny > 1) continue;
+        const sx = (nx + 1) / 2 * rect.width;
+        const sy = (1 - ny) / 2 * rect.height;
+        screen[i * 2] = sx;
+        screen[i * 2 + 1] = sy;
+        cellOf[i] = Math.floor(sy / SAT_PICK_CELL_PX) * cols + Math.floor(sx / SAT_PICK_CELL_PX);
+        cellStart[cellOf[i] + 1]++;
+    }
+    for (let k = 1; k < cellStart.length; k++) cellStart[k] += cellStart[k - 1];
+    const cellItems = new Int32Array(cellStart[cellStart.length - 1]);
+    const fill = cellStart.slice(0, -1);
+    for (let i = 0; i < count; i++) if (cellOf[i] >= 0) cellItems[fill[cellOf[i]]++] = i;
+    index.view = view;
+    index.cols = cols;
+    index.rows = rows;
+    index.cellStart = cellStart;
+    index.cellItems = cellItems;
+    index.screen = screen;
+}
+
+// Closest satellite to a screen position (client px) within tolerancePx, or -1.
+// Looks up the screen-grid cells around the cursor, then drops candidates hidden behind the globe.
+function pickSatellite(clientX, clientY, tolerancePx) {
+    if (!tlePoints || !tlePoints.visible || !satellitesGroup || !satellitesGroup.visible || !nextSatBuffer) return -1;
+    tolerancePx = tolerancePx || SAT_PICK_TOLERANCE_PX;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const view = satPickViewKey(rect);
+    let index = satPickIndex;
+    if (!index || index.catalog !== satCatalogVersion || performance.now() - index.builtAt > SAT_PICK_INDEX_MAX_AGE_MS) index = buildSatPickIndex();
+    if (index.view !== view) projectSatPickIndex(index, rect, view);
+
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    const ndc = new THREE.Vector2((x / rect.width) * 2 - 1, -(y / rect.height) * 2 + 1);
+    raycaster.setFromCamera(ndc, camera);
+    const ray = raycaster.ray;
+    // points beyond where the ray meets the globe are hidden by it
+    const b = ray.origin.dot(ray.direction);
+    const discGlobe = b * b - (ray.origin.lengthSq() - 1.0);
+    const tGlobe = (discGlobe > 0 && -b - Math.sqrt(discGlobe) > 0) ? -b - Math.sqrt(discGlobe) : Infinity;
+
+    let best = -1;
+    let bestDist = tolerancePx;
+    const q = new THREE.Vector3();
+    const c0 = Math.max(0, Math.floor((x - tolerancePx) / SAT_PICK_CELL_PX));
+    const c1 = Math.min(index.cols - 1, Math.floor((x + tolerancePx) / SAT_PICK_CELL_PX));
+    const r0 = Math.max(0, Math.floor((y - tolerancePx) / SAT_PICK_CELL_PX));
+    const r1 = Math.min(index.rows - 1, Math.floor((y + tolerancePx) / SAT_PICK_CELL_PX));
+    for (let r = r0; r <= r1; r++) for (let c = c0; c <= c1; c++) {
+        const cell = r * index.cols + c;
+        for (let k = index.cellStart[cell]; k < index.cellStart[cell + 1]; k++) {
+            const i = index.cellItems[k];
+            const d = Math.hypot(index.screen[i * 2] - x, index.screen[i * 2 + 1] - y);
+            if (d >= bestDist) continue;
+            q.set(index.pos[i * 3], index.pos[i * 3 + 1], index.pos[i * 3 + 2]);
+            const along = q.sub(ray.origin).dot(ray.direction);
+            if (along <= 0 || along > tGlobe) continue;
+            bestDist = d;
+            best = i;
+        }
+    }
+    return best;
+}
+
+// Orbit summary from a satrec: inclination (deg), period (min), apogee/perigee altitude (km), eccentricity
+function satOrbitInfo(satrec) {
+    if (!satrec) return null;
+    const MU = 398600.4418; // km^3/s^2
+    const RE = WGS84_RADIUS_KM;
+    const n = satrec.no / 60; // rad/s
+    const a = Math.cbrt(MU / (n * n));
+    return {
+        inclination: rad2deg(satrec.inclo),
+        period: (2 * Math.PI / satrec.no),
+        eccentricity: satrec.ecco,
+        meanMotion: satrec.no * 1440 / (2 * Math.PI), // rev/day
+        semiMajorAxis: a,
+        apogee: a * (1 + satrec.ecco) - RE,
+        perigee: a * (1 - satrec.ecco) - RE
+    };
+}
+
+// International designator "98067A" (TLE line 1 cols 10-17) -> "1998-067A"
+function tleIntlDesignator(t) {
+    const raw = (t && t.tle1) ? t.tle1.substring(9, 17).trim() : '';
+    if (raw.length < 5) return raw;
+    const yy = parseInt(raw.substring(0, 2), 10);
+    if (isNaN(yy)) return raw;
+    return (yy < 57 ? 2000 + yy : 1900 + yy) + '-' + raw.substring(2);
+}
+
+// TLE epoch as a Date
+function tleEpochDate(satrec) {
+    return satrec ? new Date((satrec.jdsatepoch - 2440587.5) * 86400000) : null;
+}
+
+function selectSatellite(index) {
+    if (!satPickable(index)) {
+        selectedSatNorad = null;
+    } else {
+        selectedSatNorad = tleNorad(tleData[index]) || null;
+        console.log('selected satellite', tleData[index].name, selectedSatNorad);
+    }
+    satInfoUpdatedAt = 0;
+    updateSatInfoCard(true);
+}
+
+function getSelectedSatIndex() {
+    return selectedSatNorad ? findTleIndexByNorad(selectedSatNorad) : -1;
+}
+
+// Fill the details card from the TLE and the current interpolated GPU position
+function updateSatInfoCard(force) {
+    const card = document.getElementById('sat-info');
+    if (!card) return;
+    const idx = getSelectedSatIndex();
+    if (idx < 0) {
+        card.style.display = 'none';
+        if (selectedMarker) selectedMarker.visible = false;
+        return;
+    }
+    const nowPerf = performance.now();
+    if (!force && nowPerf - satInfoUpdatedAt < 500) return;
+    satInfoUpdatedAt = nowPerf;
+    const t = tleData[idx];
+    const satrec = getSatrec(t);
+    const orbit = satOrbitInfo(satrec);
+    const km = getSatKm(idx);
+    const fmt = (v, d) => (typeof v === 'number' && isFinite(v)) ? v.toFixed(d) : '—';
+    let lat = NaN, lon = NaN, alt = NaN, speed = NaN;
+    try {
+        if (km.lengthSq() > 0) {
+            const geo = satellite.eciToGeodetic({ x: km.x, y: km.y, z: km.z }, satellite.gstime(simTime));
+            lat = rad2deg(geo.latitude);
+            lon = rad2deg(geo.longitude);
+            alt = geo.height;
+        }
+        const pv = satrec ? satellite.propagate(satrec, simTime) : null;
+        if (pv && pv.velocity) speed = Math.sqrt(pv.velocity.x * pv.velocity.x + pv.velocity.y * pv.velocity.y + pv.velocity.z * pv.velocity.z);
+    } catch (e) {}
+    const epoch = tleEpochDate(satrec);
+    const ageDays = epoch ? (simTime.getTime() - epoch.getTime()) / 86400000 : NaN;
+    const rows = [
+        ['NORAD', tleNorad(t) || '—'],
+        ['COSPAR', tleIntlDesignator(t) || '—'],
+        ['Epoch', epoch ? epoch.toISOString().slice(0, 16).replace('T', ' ') + ' (' + fmt(ageDays, 1) + ' d)' : '—'],
+        ['Lat / Lon', fmt(lat, 2) + '°, ' + fmt(lon, 2) + '°'],
+        ['Altitude', fmt(alt, 0) + ' km'],
+        ['Velocity', fmt(speed, 2) + ' km/s'],
+        ['Inclination', orbit ? fmt(orbit.inclination, 2) + '°' : '—'],
+        ['Period', orbit ? fmt(orbit.period, 1) + ' min' : '—'],
+        ['Apogee / Perigee', orbit ? fmt(orbit.apogee, 0) + ' / ' + fmt(orbit.perigee, 0) + ' km' : '—']
+    ];
+    if (satHealthFlags && satHealthFlags[idx]) rows.push(['Status', SAT_STATUS_TEXT[satHealthFlags[idx]] || ('Error ' + satHealthFlags[idx])]);
+    const ecl = satEclipseInfo(idx, satrec);
+    if (ecl) {
+        const hhmm = (ms) => (ms === null) ? '—' : new Date(ms).toISOString().slice(11, 19);
+        if (ecl.inShadow) {
+            rows.push(['Eclipse', 'in shadow, exit ' + hhmm(ecl.exit)]);
+        } else {
+            rows.push(['Next eclipse', hhmm(ecl.entry) + ' → ' + hhmm(ecl.exit)]);
+        }
+    }
+    const title = document.getElementById('sat-info-name');
+    if (title) title.textContent = t.name || ('#' + tleNorad(t));
+    const body = document.getElementById('sat-info-body');
+    if (body) {
+        body.innerHTML = '';
+        rows.forEach(([k, v]) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = k;
+            const td = document.createElement('td');
+            td.textContent = v;
+            tr.appendChild(th);
+            tr.appendChild(td);
+            body.appendChild(tr);
+        });
+    }
+    card.style.display = 'block';
+}
+
+// Cached findNextEclipse for the selected object; re-searched once the clock leaves the known state
+let satEclipseCache = null; // { norad, from, result }
+function satEclipseInfo(idx, satrec) {
+    if (!satrec || typeof satellite === 'undefined') return null;
+    const norad = tleNorad(tleData[idx]);
+    const now = simTime.getTime();
+    const c = satEclipseCache;
+    const next = c && c.result ? (c.result.inShadow ? c.result.exit : c.result.entry) : null;
+    if (!c || c.norad !== norad || now < c.from || (next !== null && now >= next) || (next === null && now - c.from > 3600000)) {
+        satEclipseCache = { norad: norad, from: now, result: findNextEclipse(satrec, now) };
+    }
+    return satEclipseCache.result;
+}
+
+// Highlight marker that tracks the selected satellite
+function createSelectedMarker() {
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+    selectedMarker = new THREE.Points(geom, new THREE.PointsMaterial({ color: 0x7fffd4, size: 14, sizeAttenuation: false, transparent: true, opacity: 0.85, depthTest: false }));
+    selectedMarker.frustumCulled = false;
+    selectedMarker.renderOrder = 100;
+    selectedMarker.visible = false;
+    if (satellitesGroup) satellitesGroup.add(selectedMarker);
+}
+
+function updateSelectedMarker() {
+    if (!selectedMarker) return;
+    const idx = getSelectedSatIndex();
+    if (idx < 0) { selectedMarker.visible = false; return; }
+    const km = getSatKm(idx);
+    const attr = selectedMarker.geometry.getAttribute('position');
+    const v = satKmToScene(km.x, km.y, km.z);
+    attr.array[0] = v.x;
+    attr.array[1] = v.y;
+    attr.array[2] = v.z;
+    attr.needsUpdate = true;
+    selectedMarker.visible = km.lengthSq() > 0;
+}
+
+// --- Orbit line & ground track of the selected satellite ---
+// Samples cover ±SAT_TRACK_SPAN periods around `t0`; only ±1 period around the clock is drawn (drawRange),
+// so the window is re-sampled only after the clock has drifted SAT_TRACK_RECENTER periods away.
+const SAT_TRACK_SAMPLES_PER_PERIOD = 180;
+const SAT_TRACK_SPAN = 1.5;
+const SAT_TRACK_RECENTER = 0.4;
+const GROUND_TRACK_RADIUS = 1.003; // just above the surface so the line isn't z-fought by the globe
+let orbitLine = null; // scene (inertial) frame
+let groundTrackPast = null; // earthGroup (Earth-fixed) frame
+let groundTrackFuture = null;
+let satTrack = null; // { norad, t0, start, step, count, periodMs, eci: Float32Array, altMode }
+let satTrackPending = null; // norad being sampled
+
+function createSatTrack() {
+    const makeGeom = () => {
+        const geom = new THREE.BufferGeometry();
+        geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+        return geom;
+    };
+    orbitLine = new THREE.Line(makeGeom(), new THREE.LineBasicMaterial({ color: 0x7fffd4, transparent: true, opacity: 0.55 }));
+    groundTrackFuture = new THREE.Line(makeGeom(), new THREE.LineBasicMaterial({ color: 0xffcc55, transparent: true, opacity: 0.9 }));
+    // already-flown part: dimmer and dashed
+    groundTrackPast = new THREE.Line(makeGeom(), new THREE.LineDashedMaterial({ color: 0xffcc55, transparent: true, opacity: 0.4, dashSize: 0.012, gapSize: 0.008 }));
+    [orbitLine, groundTrackFuture, groundTrackPast].forEach((l) => { l.frustumCulled = false; l.visible = false; });
+    if (satellitesGroup) satellitesGroup.add(orbitLine);
+    if (earthGroup) {
+        earthGroup.add(groundTrackPast);
+        earthGroup.add(groundTrackFuture);
+    }
+}
+
+function hideSatTrack() {
+    [orbitLine, groundTrackFuture, groundTrackPast].forEach((l) => { if (l) l.visible = false; });
+}
+
+// Sample the selected object's path around simulation time t0 (ms)
+function sampleSatTrack(index, norad, periodMin, t0) {
+    const periodMs = periodMin * 60000;
+    const step = periodMs / SAT_TRACK_SAMPLES_PER_PERIOD;
+    const half = Math.ceil(SAT_TRACK_SAMPLES_PER_PERIOD * SAT_TRACK_SPAN);
+    const times = [];
+    for (let k = -half; k <= half; k++) times.push(t0 + k * step);
+    satTrackPending = norad;
+    requestSatTrack(index, times).then((eci) => {
+        if (satTrackPending === norad) satTrackPending = null;
+        if (norad !== selectedSatNorad) return; // selection moved on while sampling
+        satTrack = { norad: norad, t0: t0, start: times[0], step: step, count: times.length, periodMs: periodMs, eci: eci, altMode: null };
+        buildSatTrackGeometry();
+    });
+}
+
+// (Re)build line vertices from the sampled ECI km: orbit in scene units, ground track on the Earth-fixed globe
+function buildSatTrackGeometry() {
+    if (!satTrack || !orbitLine) return;
+    const n = satTrack.count;
+    const orbitPos = new Float32Array(n * 3);
+    const groundPos = new Float32Array(n * 3);
+    const v = new THREE.Vector3();
+    const local = new THREE.Vector3();
+    let firstGood = -1;
+    for (let k = 0; k < n; k++) {
+        const o = k * 3;
+        const x = satTrack.eci[o], y = satTrack.eci[o + 1], z = satTrack.eci[o + 2];
+        if (x === 0 && y === 0 && z === 0) {
+            // propagation failed (e.g. decayed): hold the last good vertex instead of drawing to the centre;
+            // leading failures are filled from the first good one below
+            if (firstGood >= 0) {
+                orbitPos.copyWithin(o, o - 3, o);
+                groundPos.copyWithin(o, o - 3, o);
+            }
+            continue;
+        }
+        if (firstGood < 0) firstGood = k;
+        satKmToScene(x, y, z, v);
+        orbitPos[o] = v.x;
+        orbitPos[o + 1] = v.y;
+        orbitPos[o + 2] = v.z;
+        // sub-satellite point: rotate ECI into ECEF at the sample's own time. The track is built from 3D
+        // directions rather than lon/lat pairs, so crossing the antimeridian needs no special casing.
+        const ecf = satellite.eciToEcf({ x: x, y: y, z: z }, getGMSTRad(new Date(satTrack.start + k * satTrack.step)));
+        ecefToLocal(ecf, local);
+        if (local.lengthSq() > 0) local.setLength(GROUND_TRACK_RADIUS);
+        groundPos[o] = local.x;
+        groundPos[o + 1] = local.y;
+        groundPos[o + 2] = local.z;
+    }
+    for (let k = 0; k < firstGood; k++) {
+        orbitPos.copyWithin(k * 3, firstGood * 3, firstGood * 3 + 3);
+        groundPos.copyWithin(k * 3, firstGood * 3, firstGood * 3 + 3);
+    }
+    orbitLine.geometry.setAttribute('position', new THREE.BufferAttribute(orbitPos, 3));
+    groundTrackFuture.geometry.setAttribute('position', new THREE.BufferAttribute(groundPos, 3));
+    groundTrackPast.geometry.setAttribute('position', new THREE.BufferAttribute(groundPos, 3));
+    groundTrackPast.computeLineDistances();
+    satTrack.altMode = altitudeMode;
+}
+
+// Per frame: keep the sample window around the clock and move the past/future split to simTime
+function updateSatTrack() {
+    if (!orbitLine) return;
+    const idx = getSelectedSatIndex();
+    if (idx < 0 || typeof satellite === 'undefined') {
+        hideSatTrack();
+        satTrack = null;
+        return;
+    }
+    const norad = selectedSatNorad;
+    const now = (simTime || new Date()).getTime();
+    const orbit = satOrbitInfo(getSatrec(tleData[idx]));
+    if (!orbit || !isFinite(orbit.period) || orbit.period <= 0) {
+        hideSatTrack();
+        return;
+    }
+    const stale = !satTrack || satTrack.norad !== norad || Math.abs(now - satTrack.t0) > satTrack.periodMs * SAT_TRACK_RECENTER;
+    if (stale && satTrackPending !== norad) sampleSatTrack(idx, norad, orbit.period, now);
+    if (!satTrack || satTrack.norad !== norad) {
+        hideSatTrack();
+        return;
+    }
+    if (satTrack.altMode !== altitudeMode) buildSatTrackGeometry();
+    const perPeriod = SAT_TRACK_SAMPLES_PER_PERIOD;
+    const k = Math.floor((now - satTrack.start) / satTrack.step);
+    const from = Math.max(0, k - perPeriod);
+    const to = Math.min(satTrack.count - 1, k + perPeriod + 1);
+    const split = Math.max(from, Math.min(to, k + 1));
+    orbitLine.geometry.setDrawRange(from, to - from + 1);
+    groundTrackPast.geometry.setDrawRange(from, split - from + 1);
+    groundTrackFuture.geometry.setDrawRange(split, to - split + 1);
+    const show = !satellitesGroup || satellitesGroup.visible;
+    orbitLine.visible = show;
+    groundTrackPast.visible = show;
+    groundTrackFuture.visible = show;
+}
+
+// --- Satellite search & filter groups ---
+// Filter chips select category groups (OR-ed together); the search box fuzzy-matches name, NORAD and COSPAR
+// ID. Non-matching objects are hidden through the a_visible vertex attribute; geometry is never rebuilt.
+const SAT_GROUPS = {
+    starlink: { label: 'Starlink', test: (t) => /STARLINK/.test(t.name) },
+    oneweb: { label: 'OneWeb', test: (t) => /ONEWEB/.test(t.name) },
+    gnss: { label: 'GPS/GNSS', test: (t, o) => /\b(GPS|NAVSTAR|GLONASS|GALILEO|GSAT0\d|BEIDOU|QZS|IRNSS|NAVIC)\b/.test(t.name) || (o && o.period > 680 && o.period < 800 && o.inclination > 50 && o.inclination < 70 && o.eccentricity < 0.05) },
+    geo: { label: 'GEO', test: (t, o) => !!o && o.meanMotion > 0.9 && o.meanMotion < 1.1 && o.eccentricity < 0.1 },
+    weather: { label: 'Weather', test: (t) => /\b(NOAA|GOES|METEOSAT|METOP|HIMAWARI|FENGYUN|FY-\d|ELEKTRO-L|METEOR-M|DMSP|SUOMI NPP|JPSS|INSAT-3D|GEO-KOMPSAT|EWS-G)/.test(t.name) },
+    stations: { label: 'Stations', test: (t) => /\b(ISS|ZARYA|TIANGONG|TIANHE|WENTIAN|MENGTIAN|CSS)\b/.test(t.name) || /^(SOYUZ-MS|PROGRESS-MS|CREW DRAGON|DRAGON|CYGNUS|SHENZHOU|TIANZHOU)/.test(t.name) },
+    debris: { label: 'Debris', test: (t) => /\bDEB\b/.test(t.name) }
+};
+let satFilterGroups = new Set();
+let satSearchQuery = '';
+let satGroupCache = new WeakMap(); // tleData entry -> Set of group ids
+
+function satGroupsOf(t) {
+    let groups = satGroupCache.get(t);
+    if (!groups) {
+        groups = new Set();
+        const entry = { name: (t.name || '').toUpperCase() };
+        const orbit = satOrbitInfo(getSatrec(t));
+        Object.keys(SAT_GROUPS).forEach((id) => { try { if (SAT_GROUPS[id].test(entry, orbit)) groups.add(id); } catch (e) {} });
+        satGroupCache.set(t, groups);
+    }
+    return groups;
+}
+
+// Fuzzy score of `query` against `text` (higher is better, 0 = no match): substring hits beat
+// in-order subsequences, and tighter subsequences beat scattered ones
+function fuzzyScore(query, text) {
+    if (!query || !text) return 0;
+    const q = query.toLowerCase();
+    const s = text.toLowerCase();
+    if (s === q) return 1000;
+    const at = s.indexOf(q);
+    if (at === 0) return 800 - s.length;
+    if (at > 0) return 600 - at - s.length * 0.1;
+    let score = 0;
+    let pos = -1;
+    for (let k = 0; k < q.length; k++) {
+        const next = s.indexOf(q[k], pos + 1);
+        if (next < 0) return 0;
+        score += (next === pos + 1) ? 10 : Math.max(1, 5 - (next - pos));
+        pos = next;
+    }
+    return score;
+}
+
+// Best fuzzy score over name, NORAD catalog number and COSPAR ID (with or without the dash)
+function satSearchScore(t, query) {
+    const q = query.trim();
+    if (!q) return 0;
+    const norad = tleNorad(t);
+    const cospar = tleIntlDesignator(t);
+    let best = fuzzyScore(q, t.name || '');
+    if (norad && /^\d+$/.test(q)) best = Math.max(best, norad === q ? 1200 : (norad.indexOf(q) === 0 ? 900 - norad.length : 0));
+    if (cospar) best = Math.max(best, fuzzyScore(q.replace(/-/g, ''), cospar.replace(/-/g, '')), fuzzyScore(q, cospar));
+    return best;
+}
+
+// Recompute a_visible from the active filter chips and search query
+function updateSatVisibility() {
+    if (!satVisibleBuffer || !tlePoints) return;
+    const q = satSearchQuery.trim();
+    for (let i = 0; i < satVisibleBuffer.length; i++) {
+        const t = tleData[i];
+        let visible = !!t;
+        if (visible && satFilterGroups.size > 0) {
+            const groups = satGroupsOf(t);
+            visible = Array.from(satFilterGroups).some((g) => groups.has(g));
+        }
+        if (visible && satFilterSources.size > 0) visible = satFilterSources.has(t.source);
+        if (visible && !satHealthy(i)) visible = false;
+        if (visible && q) visible = satSearchScore(t, q) > 0;
+        satVisibleBuffer[i] = visible ? 1 : 0;
+    }
+    const attr = tlePoints.geometry.getAttribute('a_visible');
+    if (attr) attr.needsUpdate = true;
+    satPickIndex = null;
+    updateExportLimit();
+}
+
+// Top search hits for the results list
+function searchSatellites(query, limit) {
+    const q = (query || '').trim();
+    if (!q) return [];
+    const hits = [];
+    for (let i = 0; i < tleData.length; i++) {
+        const score = satSearchScore(tleData[i], q);
+        if (score > 0) hits.push({ index: i, score: score });
+    }
+    hits.sort((a, b) => b.score - a.score);
+    return hits.slice(0, limit || 20);
+}
+
+function renderSatSearchResults() {
+    const list = document.getElementById('sat-search-results');
+    if (!list) return;
+    list.innerHTML = '';
+    searchSatellites(satSearchQuery, 20).forEach((hit) => {
+        const t = tleData[hit.index];
+        const li = document.createElement('li');
+        li.textContent = (t.name || '') + ' · ' + tleNorad(t);
+        li.title = tleIntlDesignator(t);
+        li.addEventListener('click', () => selectSatellite(hit.index));
+        list.appendChild(li);
+    });
+    list.style.display = list.children.length ? 'block' : 'none';
+}
+
+function wireSatSearch() {
+    const input = document.getElementById('inp-sat-search');
+    let timer = null;
+    if (input) {
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            // debounce: fuzzy matching walks the whole catalog
+            timer = setTimeout(() => {
+                satSearchQuery = input.value;
+                updateSatVisibility();
+                renderSatSearchResults();
+            }, 150);
+        });
+    }
+    const chips = document.getElementById('sat-filter-chips');
+    if (chips) {
+        Object.keys(SAT_GROUPS).forEach((id) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.textContent = SAT_GROUPS[id].label;
+            chip.setAttribute('aria-pressed', 'false');
+            chip.addEventListener('click', () => {
+                if (satFilterGroups.has(id)) satFilterGroups.delete(id); else satFilterGroups.add(id);
+                chip.classList.toggle('active', satFilterGroups.has(id));
+                chip.setAttribute('aria-pressed', String(satFilterGroups.has(id)));
+                updateSatVisibility();
+            });
+            chips.appendChild(chip);
+        });
+    }
+}
+
+// --- Data health: propagation errors, decayed and stale objects ---
+// Codes 1-6 are satellite.js satrec.error values; the worker uses the same table (STATUS_* in sgp4-worker.js).
+const SAT_STATUS_OK = 0;
+const SAT_STATUS_NO_SATREC = 10;
+const SAT_STATUS_NO_POSITION = 11;
+const SAT_STATUS_REENTERED = 12;
+const SAT_FLAG_STALE = 20; // not a propagation code: epoch too far from simTime
+const SAT_REENTRY_ALT_KM = 80;
+const SAT_STALE_EPOCH_DAYS = 30;
+const SAT_STATUS_TEXT = {
+    1: 'Mean eccentricity out of range',
+    2: 'Mean motion negative',
+    3: 'Perturbed eccentricity out of range',
+    4: 'Semi-latus rectum negative',
+    5: 'Sub-orbital elements',
+    6: 'Decayed (SGP4)',
+    10: 'TLE could not be parsed',
+    11: 'Propagation failed',
+    12: 'Re-entered (below ' + SAT_REENTRY_ALT_KM + ' km)',
+    20: 'Stale epoch (> ' + SAT_STALE_EPOCH_DAYS + ' days from sim time)'
+};
+let satStatusCodes = null; // Uint8Array, latest propagation status per object
+let satHealthFlags = null; // Uint8Array, status code or SAT_FLAG_STALE, 0 = healthy
+let satEpochMs = null; // Float64Array, TLE epoch per object
+let satShowFlagged = false;
+
+// Store the latest per-object status codes and re-derive the health flags
+function applySatStatus(status) {
+    if (!satStatusCodes || satStatusCodes.length !== status.length) return;
+    satStatusCodes.set(status);
+    refreshSatHealth();
+}
+
+// Combine propagation status and epoch staleness; hide/show points only when something changed
+function refreshSatHealth() {
+    if (!satHealthFlags || !satStatusCodes) return;
+    const now = (simTime || new Date()).getTime();
+    const staleMs = SAT_STALE_EPOCH_DAYS * 86400000;
+    let changed = false;
+    for (let i = 0; i < satHealthFlags.length; i++) {
+        let flag = satStatusCodes[i];
+        if (flag === SAT_STATUS_OK && isFinite(satEpochMs[i]) && Math.abs(now - satEpochMs[i]) > staleMs) flag = SAT_FLAG_STALE;
+        if (satHealthFlags[i] !== flag) {
+            satHealthFlags[i] = flag;
+            changed = true;
+        }
+    }
+    if (changed) updateSatVisibility();
+    renderHealthPanel();
+}
+
+function satHealthy(i) {
+    return satShowFlagged || !satHealthFlags || satHealthFlags[i] === 0;
+}
+
+function renderHealthPanel() {
+    const body = document.getElementById('health-body');
+    if (!body || !satHealthFlags) return;
+    const counts = new Map();
+    satHealthFlags.forEach((f) => counts.set(f, (counts.get(f) || 0) + 1));
+    const rows = catalogAgeRows().concat([['Objects', satHealthFlags.length], ['Healthy', counts.get(0) || 0]]);
+    Array.from(counts.keys()).filter((k) => k !== 0).sort((a, b) => a - b).forEach((k) => {
+        rows.push([SAT_STATUS_TEXT[k] || ('Error ' + k), counts.get(k)]);
+    });
+    body.innerHTML = '';
+    rows.forEach(([k, v]) => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = k;
+        const td = document.createElement('td');
+        td.textContent = v;
+        tr.appendChild(th);
+        tr.appendChild(td);
+        body.appendChild(tr);
+    });
+}
+
+function toggleHealthPanel() {
+    const panel = document.getElementById('health-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+    renderHealthPanel();
+}
+
+function wireHealthUi() {
+    const chk = document.getElementById('chk-show-flagged');
+    if (chk) {
+        chk.addEventListener('change', () => {
+            satShowFlagged = chk.checked;
+            updateSatVisibility();
+        });
+    }
+    const closeBtn = document.getElementById('health-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleHealthPanel);
+}
+
+// --- Color schemes ---
+// A scheme maps each catalog entry to a class { key, label, color, size }; classes feed the a_color / a_size
+// attributes and the legend. 'custom' uses a user-supplied function (see setSatColorScheme).
+const SAT_DEFAULT_COLOR = 0xffab00;
+const SAT_COLOR_SCHEMES = {
+    single: { label: 'Single color', classify: () => ({ key: 'all', label: 'All objects', color: SAT_DEFAULT_COLOR, size: 1 }) },
+    regime: {
+        label: 'Orbit regime',
+        classify: (t, info) => {
+            const o = info.orbit;
+            if (!o) return { key: 'unknown', label: 'Unknown', color: 0x888888, size: 1 };
+            if (o.eccentricity >= 0.25) return { key: 'heo', label: 'HEO', color: 0xff5fa2, size: 1.2 };
+            if (o.meanMotion >= 11.25) return { key: 'leo', label: 'LEO', color: 0x4fc3f7, size: 1 };
+            if (o.meanMotion >= 0.9 && o.meanMotion <= 1.1 && o.eccentricity < 0.1) return { key: 'geo', label: 'GEO', color: 0xffd54f, size: 1.3 };
+            if (o.meanMotion > 1.1) return { key: 'meo', label: 'MEO', color: 0x81c784, size: 1.2 };
+            return { key: 'other', label: 'Beyond GEO', color: 0xb39ddb, size: 1.2 };
+        }
+    },
+    type: {
+        label: 'Object type',
+        classify: (t) => {
+            const name = (t.name || '').toUpperCase();
+            if (/\bDEB\b/.test(name)) return { key: 'debris', label: 'Debris', color: 0x9e9e9e, size: 0.7 };
+            if (/\bR\/B\b/.test(name)) return { key: 'rocket', label: 'Rocket body', color: 0xff7043, size: 1.3 };
+            return { key: 'payload', label: 'Payload', color: 0x4fc3f7, size: 1 };
+        }
+    },
+    year: {
+        label: 'Launch year',
+        classify: (t, info) => {
+            const year = parseInt((info.cospar || '').slice(0, 4), 10);
+            if (!isFinite(year)) return { key: 'unknown', label: 'Unknown', color: 0x888888, size: 1 };
+            const decades = [[1980, 'before 1980', 0x5e35b1], [1990, '1980s', 0x3949ab], [2000, '1990s', 0x039be5], [2010, '2000s', 0x00acc1], [2020, '2010s', 0x7cb342], [Infinity, '2020 and later', 0xffb300]];
+            const d = decades.find((x) => year < x[0]);
+            return { key: d[1], label: d[1], color: d[2], size: 1 };
+        }
+    },
+    source: {
+        label: 'Source',
+        classify: (t) => {
+            const label = t.source || 'Unknown';
+            return { key: label, label: label, color: t.source ? sourceColor(t.source) : 0x888888, size: 1 };
+        }
+    },
+    custom: {
+        label: 'Custom',
+        classify: (t, info) => {
+            const r = satCustomColorFn ? satCustomColorFn(t, info) : null;
+            if (!r) return SAT_COLOR_SCHEMES.single.classify(t, info);
+            const label = String(r.label || r.color || 'Other');
+            return { key: label, label: label, color: (typeof r.color === 'number') ? r.color : new THREE.Color(r.color || SAT_DEFAULT_COLOR).getHex(), size: r.size || 1 };
+        }
+    }
+};
+let satColorScheme = 'single';
+let satCustomColorFn = null;
+
+// Select a scheme by name. For 'custom', fn(entry, info) returns { color, size?, label? } where info holds
+// { orbit, norad, cospar, groups }; returning null keeps the default color.
+function setSatColorScheme(name, fn) {
+    if (!SAT_COLOR_SCHEMES[name]) {
+        console.warn('unknown color scheme', name);
+        return;
+    }
+    if (name === 'custom' && typeof fn === 'function') satCustomColorFn = fn;
+    satColorScheme = name;
+    const sel = document.getElementById('sel-color-scheme');
+    if (sel) {
+        if (name === 'custom' && !sel.querySelector('option[value="custom"]')) {
+            const opt = document.createElement('option');
+            opt.value = 'custom';
+            opt.textContent = SAT_COLOR_SCHEMES.custom.label;
+            sel.appendChild(opt);
+        }
+        sel.value = name;
+    }
+    updateSatColors();
+}
+
+// Recompute a_color / a_size for the whole catalog and refresh the legend
+function updateSatColors() {
+    if (!satColorBuffer || !satSizeBuffer || !tlePoints) return;
+    const scheme = SAT_COLOR_SCHEMES[satColorScheme] || SAT_COLOR_SCHEMES.single;
+    const legend = new Map(); // key -> { label, color, count }
+    const color = new THREE.Color();
+    for (let i = 0; i < satSizeBuffer.length; i++) {
+        const t = tleData[i];
+        let cls;
+        try {
+            cls = scheme.classify(t, { orbit: satOrbitInfo(getSatrec(t)), norad: tleNorad(t), cospar: tleIntlDesignator(t), groups: satGroupsOf(t) });
+        } catch (e) {
+            cls = null;
+        }
+        cls = cls || SAT_COLOR_SCHEMES.single.classify(t);
+        color.setHex(cls.color);
+        satColorBuffer[i * 3] = color.r;
+        satColorBuffer[i * 3 + 1] = color.g;
+        satColorBuffer[i * 3 + 2] = color.b;
+        satSizeBuffer[i] = cls.size || 1;
+        const entry = legend.get(cls.key);
+        if (entry) entry.count++; else legend.set(cls.key, { label: cls.label, color: cls.color, count: 1 });
+    }
+    const aColor = tlePoints.geometry.getAttribute('a_color');
+    const aSize = tlePoints.geometry.getAttribute('a_size');
+    if (aColor) aColor.needsUpdate = true;
+    if (aSize) aSize.needsUpdate = true;
+    renderSatLegend(scheme.label, Array.from(legend.values()));
+}
+
+function renderSatLegend(title, entries) {
+    const panel = document.getElementById('sat-legend');
+    if (!panel) return;
+    const heading = document.getElementById('sat-legend-title');
+    if (heading) heading.textContent = title;
+    const list = document.getElementById('sat-legend-items');
+    if (list) {
+        list.innerHTML = '';
+        entries.sort((a, b) => b.count - a.count).forEach((e) => {
+            const li = document.createElement('li');
+            const sw = document.createElement('span');
+            sw.className = 'legend-swatch';
+            sw.style.background = '#' + e.color.toString(16).padStart(6, '0');
+            const label = document.createElement('span');
+            label.textContent = e.label;
+            const count = document.createElement('span');
+            count.className = 'legend-count';
+            count.textContent = e.count;
+            li.appendChild(sw);
+            li.appendChild(label);
+            li.appendChild(count);
+            list.appendChild(li);
+        });
+    }
+    // a single class says nothing worth a legend
+    panel.style.display = (satColorScheme === 'single' || entries.length === 0) ? 'none' : 'block';
+}
+
+// --- Ground observer & pass predictions ---
+// The observer is geodetic lat/lon (deg) + altitude (km). Passes are found by stepping elevation over the
+// window, bisecting horizon crossings (AOS/LOS) and golden-section searching the culmination (TCA).
+const OBSERVER_STORAGE_KEY = 'observer.sites';
+const OBSERVER_CURRENT_KEY = 'observer.current';
+const PASS_MAX_OBJECTS = 300; // group predictions are capped; SGP4 on the main thread isn't free
+const PASS_TWILIGHT_DEG = -6; // observer must be at least in civil twilight for a visible pass
+let observer = { name: 'Greenwich', lat: 51.4779, lon: -0.0015, alt: 0.046 };
+let observerMarker = null;
+let observerPickMode = false;
+let passRunId = 0;
+let passResults = [];
+
+function observerGeodetic(o) {
+    o = o || observer;
+    return { latitude: deg2rad(o.lat), longitude: deg2rad(o.lon), height: o.alt };
+}
+
+// Geodetic lat/lon (deg) -> earthGroup local point at radius r (sphere, like the globe mesh)
+function latLonToLocal(lat, lon, r, out) {
+    const la = deg2rad(lat);
+    const lo = deg2rad(lon);
+    return ecefToLocal({ x: Math.cos(la) * Math.cos(lo), y: Math.cos(la) * Math.sin(lo), z: Math.sin(la) }, out).multiplyScalar(r);
+}
+
+// earthGroup local point -> { lat, lon } in degrees (inverse of ecefToLocal)
+function earthLocalToLatLon(v) {
+    const r = Math.max(1e-9, Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z));
+    return { lat: rad2deg(Math.asin(v.y / r)), lon: rad2deg(Math.atan2(-v.z, v.x)) };
+}
+
+function setObserver(lat, lon, alt, name) {
+    lat = Number(lat);
+    lon = Number(lon);
+    alt = Number(alt) || 0;
+    if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90) {
+        console.warn('invalid observer location', lat, lon);
+        return false;
+    }
+    lon = ((lon + 540) % 360) - 180;
+    observer = { name: name || '', lat: lat, lon: lon, alt: alt };
+    try { localStorage.setItem(OBSERVER_CURRENT_KEY, JSON.stringify(observer)); } catch (e) {}
+    updateObserverMarker();
+    updateObserverUi();
+    return true;
+}
+
+function loadObserverSites() {
+    try {
+        const sites = JSON.parse(localStorage.getItem(OBSERVER_STORAGE_KEY) || '[]');
+        return Array.isArray(sites) ? sites.filter((x) => x && isFinite(x.lat) && isFinite(x.lon)) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveObserverSite(name) {
+    const sites = loadObserverSites().filter((x) => x.name !== name);
+    sites.push({ name: name, lat: observer.lat, lon: observer.lon, alt: observer.alt });
+    try { localStorage.setItem(OBSERVER_STORAGE_KEY, JSON.stringify(sites)); } catch (e) {}
+    observer.name = name;
+    updateObserverUi();
+}
+
+function createObserverMarker() {
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+    observerMarker = new THREE.Points(geom, new THREE.PointsMaterial({ color: 0xff6f91, size: 9, sizeAttenuation: false }));
+    observerMarker.frustumCulled = false;
+    if (earthGroup) earthGroup.add(observerMarker);
+    try {
+        const saved = JSON.parse(localStorage.getItem(OBSERVER_CURRENT_KEY) || 'null');
+        if (saved && isFinite(saved.lat) && isFinite(saved.lon)) observer = saved;
+    } catch (e) {}
+    updateObserverMarker();
+    updateObserverUi();
+}
+
+function updateObserverMarker() {
+    if (!observerMarker) return;
+    const attr = observerMarker.geometry.getAttribute('position');
+    const v = latLonToLocal(observer.lat, observer.lon, 1.002);
+    attr.array[0] = v.x;
+    attr.array[1] = v.y;
+    attr.array[2] = v.z;
+    attr.needsUpdate = true;
+}
+
+function updateObserverUi() {
+    const set = (id, v) => { const el = document.getElementById(id); if (el && document.activeElement !== el) el.value = v; };
+    set('inp-obs-lat', observer.lat.toFixed(4));
+    set('inp-obs-lon', observer.lon.toFixed(4));
+    set('inp-obs-alt', (observer.alt * 1000).toFixed(0));
+    const sel = document.getElementById('sel-obs-saved');
+    if (sel) {
+        sel.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Saved sites…';
+        sel.appendChild(none);
+        loadObserverSites().forEach((x) => {
+            const opt = document.createElement('option');
+            opt.value = x.name;
+            opt.textContent = x.name;
+            if (x.name === observer.name) opt.selected = true;
+            sel.appendChild(opt);
+        });
+    }
+}
+
+// Look angles (deg) of a satrec from the observer at `date`, plus the satellite's ECEF km position
+function lookAnglesAt(satrec, date, obsGd) {
+    try {
+        const pv = satellite.propagate(satrec, date);
+        if (!pv || !pv.position) return null;
+        const ecf = satellite.eciToEcf(pv.position, satellite.gstime(date));
+        const look = satellite.ecfToLookAngles(obsGd, ecf);
+        return { az: rad2deg(look.azimuth), el: rad2deg(look.elevation), range: look.rangeSat, ecf: ecf };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Sunlit fraction of a km position behind the Earth's conical shadow: 0 in the umbra, 0..1 across the
+// penumbra, 1 in full sun. `p` and the unit Sun vector `sunHat` must share a frame (ECEF or ECI).
+function satShadowFraction(p, sunHat) {
+    const s = p.x * sunHat.x + p.y * sunHat.y + p.z * sunHat.z;
+    if (s >= 0) return 1;
+    const px = p.x - s * sunHat.x, py = p.y - s * sunHat.y, pz = p.z - s * sunHat.z;
+    const d = Math.sqrt(px * px + py * py + pz * pz);
+    const rUmbra = EARTH_RADIUS_KM + s * SHADOW_UMBRA_TAN;
+    const rPenumbra = EARTH_RADIUS_KM - s * SHADOW_PENUMBRA_TAN;
+    return Math.min(1, Math.max(0, (d - rUmbra) / (rPenumbra - rUmbra)));
+}
+
+// Is the ECEF km position inside the umbra?
+function satInEarthShadow(ecf, sunHat) {
+    return satShadowFraction(ecf, sunHat) === 0;
+}
+
+// Next umbra entry/exit of a satrec after `fromMs`, searched over two orbits.
+// Returns { inShadow, entry, exit } (ms, null when not found in the horizon).
+function findNextEclipse(satrec, fromMs) {
+    const orbit = satOrbitInfo(satrec);
+    if (!orbit) return null;
+    const horizon = Math.min(2 * orbit.period * 60000, 3 * 86400000);
+    const step = Math.max(10000, Math.min(60000, orbit.period * 60000 / 200));
+    const dark = (t) => {
+        try {
+            const date = new Date(t);
+            const p = satellite.propagate(satrec, date).position;
+            if (!p) return false;
+            return satInEarthShadow(satellite.eciToEcf(p, satellite.gstime(date)), computeSunEcef(date));
+        } catch (e) {
+            return false;
+        }
+    };
+    const edge = (a, b) => {
+        const da = dark(a);
+        while (b - a > 1000) {
+            const m = (a + b) / 2;
+            if (dark(m) === da) a = m; else b = m;
+        }
+        return b;
+    };
+    const out = { inShadow: dark(fromMs), entry: null, exit: null };
+    let prevT = fromMs;
+    let prevDark = out.inShadow;
+    for (let t = fromMs + step; t <= fromMs + horizon; t += step) {
+        const d = dark(t);
+        if (d !== prevDark) {
+            if (d && out.entry === null) out.entry = edge(prevT, t);
+            if (!d && (out.entry !== null || out.inShadow)) {
+                out.exit = edge(prevT, t);
+                return out;
+            }
+        }
+        prevT = t;
+        prevDark = d;
+    }
+    return out;
+}
+
+// Sun elevation (deg) at the observer, ignoring parallax
+function sunElevationAt(obsGd, sunHat) {
+    const cl = Math.cos(obsGd.latitude);
+    const up = { x: cl * Math.cos(obsGd.longitude), y: cl * Math.sin(obsGd.longitude), z: Math.sin(obsGd.latitude) };
+    return rad2deg(Math.asin(Math.max(-1, Math.min(1, up.x * sunHat.x + up.y * sunHat.y + up.z * sunHat.z))));
+}
+
+// All passes of one satrec over [startMs, endMs] reaching at least minElDeg; AOS/LOS are where the elevation
+// crosses horizonDeg (an elevation mask, default 0)
+function findPasses(satrec, startMs, endMs, obsGd, minElDeg, horizonDeg) {
+    const horizon = horizonDeg || 0;
+    const orbit = satOrbitInfo(satrec);
+    if (!orbit) return [];
+    const step = Math.max(10000, Math.min(60000, orbit.period * 60000 / 200));
+    const elAt = (t) => { const la = lookAnglesAt(satrec, new Date(t), obsGd); return la ? la.el : -90; };
+    // horizon crossing between a (below/above) and b (the other side)
+    const bisect = (a, b) => {
+        const aboveA = elAt(a) >= horizon;
+        for (let k = 0; k < 14; k++) {
+            const m = (a + b) / 2;
+            if ((elAt(m) >= horizon) === aboveA) a = m; else b = m;
+        }
+        return (a + b) / 2;
+    };
+    const passes = [];
+    let prevT = startMs;
+    let prevUp = elAt(startMs) >= horizon;
+    let aos = prevUp ? startMs : null;
+    let bestT = startMs;
+    let bestEl = -90;
+    for (let t = startMs + step; prevT < endMs; t += step) {
+        t = Math.min(t, endMs);
+        const el = elAt(t);
+        const up = el >= horizon;
+        if (up && !prevUp) {
+            aos = bisect(prevT, t);
+            bestEl = -90;
+        }
+        if (up && el > bestEl) {
+            bestEl = el;
+            bestT = t;
+        }
+        if ((!up && prevUp) || (up && t >= endMs)) {
+            const los = up ? endMs : bisect(prevT, t);
+            passes.push({ aos: aos, los: los, coarseTca: bestT, open: up });
+            aos = null;
+            bestEl = -90;
+        }
+        prevT = t;
+        prevUp = up;
+    }
+    const out = [];
+    passes.forEach((p) => {
+        // culmination: golden-section search around the best coarse sample
+        let a = Math.max(p.aos, p.coarseTca - step), b = Math.min(p.los, p.coarseTca + step);
+        const gr = (Math.sqrt(5) - 1) / 2;
+        for (let k = 0; k < 20 && b - a > 500; k++) {
+            const c = b - gr * (b - a), d = a + gr * (b - a);
+            if (elAt(c) > elAt(d)) b = d; else a = c;
+        }
+        const tca = (a + b) / 2;
+        const top = lookAnglesAt(satrec, new Date(tca), obsGd);
+        if (!top || top.el < minElDeg) return;
+        const start = lookAnglesAt(satrec, new Date(p.aos), obsGd);
+        const end = lookAnglesAt(satrec, new Date(p.los), obsGd);
+        // sunlit / visible: sample along the pass
+        let sunlit = false;
+        let visible = false;
+        const n = 24;
+        for (let k = 0; k <= n; k++) {
+            const t = p.aos + (p.los - p.aos) * k / n;
+            const la = lookAnglesAt(satrec, new Date(t), obsGd);
+            if (!la) continue;
+            const sunHat = computeSunEcef(new Date(t));
+            const lit = !satInEarthShadow(la.ecf, sunHat);
+            sunlit = sunlit || lit;
+            if (lit && la.el > 0 && sunElevationAt(obsGd, sunHat) < PASS_TWILIGHT_DEG) visible = true;
+        }
+        out.push({
+            aos: p.aos, tca: tca, los: p.los, maxEl: top.el,
+            aosAz: start ? start.az : NaN, losAz: end ? end.az : NaN,
+            sunlit: sunlit, visible: visible,
+            inProgress: p.aos <= startMs,
+            continues: p.open
+        });
+    });
+    return out;
+}
+
+// Passes of several catalog entries, yielding to the UI between objects. Resolves to a list sorted by AOS
+// (or null if superseded by a newer run).
+async function computePasses(indices, startMs, endMs, minElDeg, onProgress) {
+    const runId = ++passRunId;
+    const obsGd = observerGeodetic();
+    const all = [];
+    let lastYield = performance.now();
+    for (let k = 0; k < indices.length; k++) {
+        const t = tleData[indices[k]];
+        const satrec = getSatrec(t);
+        if (satrec) {
+            findPasses(satrec, startMs, endMs, obsGd, minElDeg).forEach((p) => {
+                p.index = indices[k];
+                p.norad = tleNorad(t);
+                p.name = t.name || ('#' + p.norad);
+                all.push(p);
+            });
+        }
+        if (performance.now() - lastYield > 25) {
+            if (onProgress) onProgress(k + 1, indices.length);
+            await new Promise((r) => setTimeout(r, 0));
+            lastYield = performance.now();
+            if (runId !== passRunId) return null;
+        }
+    }
+    all.sort((a, b) => a.aos - b.aos);
+    return all;
+}
+
+// Catalog indices for the pass target selector: the selected object, a filter group or everything shown
+function passTargetIndices(target) {
+    if (target === 'selected') {
+        const idx = getSelectedSatIndex();
+        return idx >= 0 ? [idx] : [];
+    }
+    const out = [];
+    for (let i = 0; i < tleData.length; i++) {
+        if (target === 'visible' ? satPickable(i) : satGroupsOf(tleData[i]).has(target)) out.push(i);
+    }
+    return out;
+}
+
+function azCompass(deg) {
+    if (!isFinite(deg)) return '—';
+    const names = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return deg.toFixed(0) + '° ' + names[Math.round(((deg % 360) + 360) % 360 / 22.5) % 16];
+}
+
+async function runPassPrediction() {
+    const status = document.getElementById('pass-status');
+    const setStatus = (text) => { if (status) status.textContent = text; };
+    const targetSel = document.getElementById('sel-pass-target');
+    const windowSel = document.getElementById('sel-pass-window');
+    const minElInp = document.getElementById('inp-pass-minel');
+    const target = targetSel ? targetSel.value : 'selected';
+    const hours = windowSel ? Number(windowSel.value) || 24 : 24;
+    const minEl = minElInp ? Number(minElInp.value) || 0 : 10;
+    let indices = passTargetIndices(target);
+    if (indices.length === 0) {
+        setStatus(target === 'selected' ? 'Select a satellite first.' : 'No objects in this group.');
+        return;
+    }
+    let note = '';
+    if (indices.length > PASS_MAX_OBJECTS) {
+        note = ' (first ' + PASS_MAX_OBJECTS + ' of ' + indices.length + ' objects)';
+        indices = indices.slice(0, PASS_MAX_OBJECTS);
+    }
+    const start = simTime.getTime();
+    setStatus('Computing…');
+    const passes = await computePasses(indices, start, start + hours * 3600000, minEl, (done, total) => setStatus('Computing… ' + done + '/' + total));
+    if (!passes) return; // superseded
+    passResults = passes;
+    renderPassTable();
+    setStatus(passes.length + ' pass' + (passes.length === 1 ? '' : 'es') + ' in ' + hours + ' h over ' + observer.lat.toFixed(2) + '°, ' + observer.lon.toFixed(2) + '°' + note);
+}
+
+function renderPassTable() {
+    const body = document.getElementById('pass-body');
+    if (!body) return;
+    body.innerHTML = '';
+    const fmtTime = (ms) => new Date(ms).toISOString().slice(5, 19).replace('T', ' ');
+    passResults.forEach((p) => {
+        const tr = document.createElement('tr');
+        const cells = [
+            p.name,
+            (p.inProgress ? '≤ ' : '') + fmtTime(p.aos),
+            fmtTime(p.tca),
+            (p.continues ? '≥ ' : '') + fmtTime(p.los),
+            p.maxEl.toFixed(1) + '°',
+            azCompass(p.aosAz) + ' → ' + azCompass(p.losAz),
+            p.visible ? 'visible' : (p.sunlit ? 'sunlit' : 'eclipsed')
+        ];
+        cells.forEach((c) => {
+            const td = document.createElement('td');
+            td.textContent = c;
+            tr.appendChild(td);
+        });
+        tr.title = 'Jump to AOS';
+        tr.addEventListener('click', () => {
+            selectSatellite(p.index);
+            simClock.jumpTo(new Date(p.aos));
+        });
+        body.appendChild(tr);
+    });
+}
+
+function togglePassPanel() {
+    const panel = document.getElementById('pass-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+}
+
+function wireObserverUi() {
+    const byId = (id) => document.getElementById(id);
+    const setBtn = byId('btn-obs-set');
+    if (setBtn) {
+        setBtn.addEventListener('click', () => {
+            const altM = Number(byId('inp-obs-alt') ? byId('inp-obs-alt').value : 0) || 0;
+            setObserver(byId('inp-obs-lat').value, byId('inp-obs-lon').value, altM / 1000);
+        });
+    }
+    const pick = byId('chk-obs-pick');
+    if (pick) pick.addEventListener('change', () => { observerPickMode = pick.checked; });
+    const saved = byId('sel-obs-saved');
+    if (saved) {
+        saved.addEventListener('change', () => {
+            const site = loadObserverSites().find((x) => x.name === saved.value);
+            if (site) setObserver(site.lat, site.lon, site.alt, site.name);
+        });
+    }
+    const saveBtn = byId('btn-obs-save');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const name = (window.prompt('Name for this site', observer.name || '') || '').trim();
+            if (name) saveObserverSite(name);
+        });
+    }
+    const targetSel = byId('sel-pass-target');
+    if (targetSel) {
+        Object.keys(SAT_GROUPS).forEach((id) => {
+            const opt = document.createElement('option');
+            opt.value = id;
+            opt.textContent = SAT_GROUPS[id].label;
+            targetSel.appendChild(opt);
+        });
+    }
+    const computeBtn = byId('btn-pass-compute');
+    if (computeBtn) computeBtn.addEventListener('click', () => { runPassPrediction(); });
+    const closeBtn = byId('pass-close');
+    if (closeBtn) closeBtn.addEventListener('click', togglePassPanel);
+}
+
+// --- Conjunction screening ---
+// Runs in its own sgp4-worker.js instance (full catalog, 'screen' message) so the propagation pool keeps
+// feeding the points while a long screening is in progress.
+const CONJ_STEP_MS = 10000;
+let conjunctionWorker = null;
+let conjunctionResolve = null; // settles the running screen's promise; cancelling resolves it with null
+let conjunctionSeq = 0;
+let conjunctionResults = [];
+let conjunctionSort = { key: 'tca', dir: 1 };
+
+function cancelConjunctionScreen() {
+    if (conjunctionWorker) {
+        try { conjunctionWorker.terminate(); } catch (e) {}
+        conjunctionWorker = null;
+    }
+    const resolve = conjunctionResolve;
+    conjunctionResolve = null;
+    if (resolve) resolve(null);
+}
+
+// Screen for close approaches over [startMs, endMs]. primaryNorad = null screens all pairs.
+// Resolves to [{ a, b, nameA, nameB, tca, miss (km), relVel (km/s) }] or null if cancelled.
+function runConjunctionScreen(startMs, endMs, thresholdKm, primaryNorad, onProgress) {
+    cancelConjunctionScreen();
+    if (typeof Worker === 'undefined') return Promise.reject(new Error('Web Workers are not available'));
+    const seq = ++conjunctionSeq;
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker('sgp4-worker.js');
+        } catch (e) {
+            reject(e);
+            return;
+        }
+        conjunctionWorker = worker;
+        conjunctionResolve = resolve;
+        // settled here: drop the pending resolve first so stopping the worker doesn't resolve with null
+        const finish = () => {
+            conjunctionResolve = null;
+            cancelConjunctionScreen();
+        };
+        worker.onmessage = (ev) => {
+            const msg = ev.data;
+            if (msg.type === 'ready' && !msg.satlib) {
+                finish();
+                reject(new Error('satellite.js not available in worker'));
+            } else if (msg.type === 'screenProgress' && msg.seq === seq) {
+                if (onProgress) onProgress(msg.progress);
+            } else if (msg.type === 'screen' && msg.seq === seq) {
+                finish();
+                if (msg.error) reject(new Error(msg.error)); else resolve(msg.events);
+            }
+        };
+        worker.onerror = (e) => {
+            finish();
+            reject(e);
+        };
+        worker.postMessage({ type: 'setTLE', shard: 0, tle: tleData });
+        worker.postMessage({ type: 'screen', seq: seq, start: startMs, end: endMs, step: CONJ_STEP_MS, threshold: thresholdKm, primary: primaryNorad });
+    });
+}
+
+async function startConjunctionScreen() {
+    const status = document.getElementById('conj-status');
+    const setStatus = (text) => { if (status) status.textContent = text; };
+    const targetSel = document.getElementById('sel-conj-target');
+    const windowSel = document.getElementById('sel-conj-window');
+    const thrInp = document.getElementById('inp-conj-threshold');
+    const hours = windowSel ? Number(windowSel.value) || 6 : 6;
+    const threshold = thrInp ? Math.max(0.1, Number(thrInp.value) || 5) : 5;
+    let primary = null;
+    if (targetSel && targetSel.value === 'selected') {
+        if (!selectedSatNorad) {
+            setStatus('Select a primary satellite first.');
+            return;
+        }
+        primary = selectedSatNorad;
+    }
+    if (!tleData.length) {
+        setStatus('No catalog loaded.');
+        return;
+    }
+    const start = simTime.getTime();
+    setStatus('Screening ' + tleData.length + ' objects…');
+    try {
+        const events = await runConjunctionScreen(start, start + hours * 3600000, threshold, primary, (p) => setStatus('Screening… ' + Math.round(p * 100) + '%'));
+        // cancelled (Stop or a newer run): leave the table and status to whoever cancelled
+        if (events === null) return;
+        conjunctionResults = events || [];
+        renderConjunctionTable();
+        setStatus(conjunctionResults.length + ' approach' + (conjunctionResults.length === 1 ? '' : 'es') + ' below ' + threshold + ' km in ' + hours + ' h');
+    } catch (e) {
+        console.warn('conjunction screening failed', e);
+        setStatus('Screening failed: ' + (e && e.message ? e.message : e));
+    }
+}
+
+function renderConjunctionTable() {
+    const body = document.getElementById('conj-body');
+    if (!body) return;
+    const key = conjunctionSort.key;
+    const dir = conjunctionSort.dir;
+    conjunctionResults.sort((x, y) => (key === 'name' ? x.nameA.localeCompare(y.nameA) : x[key] - y[key]) * dir);
+    body.innerHTML = '';
+    conjunctionResults.forEach((c) => {
+        const tr = document.createElement('tr');
+        [c.nameA + ' (' + c.a + ')', c.nameB + ' (' + c.b + ')', new Date(c.tca).toISOString().slice(5, 19).replace('T', ' '), c.miss.toFixed(2), c.relVel.toFixed(2)].forEach((v) => {
+            const td = document.createElement('td');
+            td.textContent = v;
+            tr.appendChild(td);
+        });
+        tr.title = 'Jump to TCA';
+        tr.addEventListener('click', () => focusConjunction(c));
+        body.appendChild(tr);
+    });
+    document.querySelectorAll('#conj-panel th[data-sort]').forEach((th) => {
+        th.classList.toggle('sorted', th.dataset.sort === key);
+        th.dataset.dir = (th.dataset.sort === key) ? (dir > 0 ? 'asc' : 'desc') : '';
+    });
+}
+
+// Jump the clock to TCA, select the first object and point the camera at both
+function focusConjunction(c) {
+    simClock.jumpTo(new Date(c.tca));
+    const ia = findTleIndexByNorad(c.a);
+    const ib = findTleIndexByNorad(c.b);
+    if (ia >= 0) selectSatellite(ia);
+    const pts = [];
+    [ia, ib].forEach((i) => {
+        const satrec = i >= 0 ? getSatrec(tleData[i]) : null;
+        if (!satrec) return;
+        try {
+            const p = satellite.propagate(satrec, new Date(c.tca)).position;
+            if (p) pts.push(satKmToScene(p.x, p.y, p.z));
+        } catch (e) {}
+    });
+    frameScenePoints(pts);
+}
+
+// Look at a set of scene points from outside, along their mean radial direction
+function frameScenePoints(points) {
+    if (!points.length || !camera || !controls) return;
+    const mid = new THREE.Vector3();
+    points.forEach((p) => mid.add(p));
+    mid.multiplyScalar(1 / points.length);
+    if (mid.lengthSq() < 1e-9) return;
+    if (followEnabled) stopFollow(true);
+    let spread = 0;
+    points.forEach((p) => { spread = Math.max(spread, p.distanceTo(mid)); });
+    const dist = Math.min(controls.maxDistance, Math.max(controls.minDistance, mid.length() + 0.6 + spread * 3));
+    controls.target.set(0, 0, 0);
+    camera.position.copy(mid).setLength(dist);
+    controls.update();
+}
+
+function toggleConjunctionPanel() {
+    const panel = document.getElementById('conj-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+}
+
+function wireConjunctionUi() {
+    const runBtn = document.getElementById('btn-conj-run');
+    if (runBtn) runBtn.addEventListener('click', () => { startConjunctionScreen(); });
+    const cancelBtn = document.getElementById('btn-conj-cancel');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            cancelConjunctionScreen();
+            const status = document.getElementById('conj-status');
+            if (status) status.textContent = 'Cancelled.';
+        });
+    }
+    const closeBtn = document.getElementById('conj-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleConjunctionPanel);
+    document.querySelectorAll('#conj-panel th[data-sort]').forEach((th) => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sort;
+            conjunctionSort = { key: key, dir: conjunctionSort.key === key ? -conjunctionSort.dir : 1 };
+            renderConjunctionTable();
+        });
+    });
+}
+
+// --- Walker constellation designer ---
+// Designs become ordinary catalog entries: Keplerian elements are written out as TLEs (zero drag, epoch =
+// simTime when generated) and added with addTLEs(), so they go through the same SGP4 pool, picking, passes
+// and screening as the real catalog. Designs are stored by parameters; NORAD numbers come from a private range.
+const MU_EARTH = 398600.4418; // km^3/s^2
+const WGS84_RADIUS_KM = 6378.137; // equatorial; altitudes read back from TLEs (details card, geodetic heights) use it
+const WALKER_NORAD_BASE = 90000;
+const WALKER_STORAGE_KEY = 'walker.designs';
+let walkerDesigns = new Map(); // design name -> { params, entries, norads } for designs currently in the scene
+
+// TLE line checksum: digits count their value, '-' counts 1, modulo 10 (column 69 excluded)
+function tleChecksum(line) {
+    let sum = 0;
+    for (let i = 0; i < Math.min(68, line.length); i++) {
+        const ch = line[i];
+        if (ch >= '0' && ch <= '9') sum += ch.charCodeAt(0) - 48;
+        else if (ch === '-') sum += 1;
+    }
+    return sum % 10;
+}
+
+// Mean motion (rev/day) of a circular orbit at altitude h km above the WGS84 equator, matching satOrbitInfo()
+function meanMotionAt(altKm) {
+    const a = WGS84_RADIUS_KM + altKm;
+    return Math.sqrt(MU_EARTH / (a * a * a)) * 86400 / (2 * Math.PI);
+}
+
+// TLE "assumed decimal point" exponent field: 0.12345e-3 -> " 12345-3"
+function tleExpField(v) {
+    if (!v || !isFinite(v)) return ' 00000-0';
+    let exp = Math.floor(Math.log10(Math.abs(v))) + 1;
+    let mant = Math.round(Math.abs(v) / Math.pow(10, exp) * 1e5);
+    if (mant >= 100000) { mant = Math.round(mant / 10); exp++; }
+    if (exp < -9) return ' 00000-0';
+    exp = Math.min(9, exp);
+    return (v < 0 ? '-' : ' ') + String(mant).padStart(5, '0') + (exp < 0 ? '-' : '+') + Math.abs(exp);
+}
+
+// { norad, epoch: Date, inc, raan, ecc, argp, ma (deg), meanMotion (rev/day) } -> [line1, line2]
+// optional: intl, elset, revs, classification and the drag terms ndot, nddot (as written in the TLE), bstar
+function formatTle(el) {
+    const cat = String(el.norad).padStart(5, '0').slice(-5);
+    const e = el.epoch;
+    const yearStart = Date.UTC(e.getUTCFullYear(), 0, 1);
+    const doy = 1 + (e.getTime() - yearStart) / 86400000;
+    const epoch = String(e.getUTCFullYear() % 100).padStart(2, '0') + doy.toFixed(8).padStart(12, '0');
+    const deg = (v) => (((v % 360) + 360) % 360).toFixed(4).padStart(8, ' ');
+    const ndot = Math.max(-0.99999999, Math.min(0.99999999, el.ndot || 0));
+    const ndotField = (ndot < 0 ? '-' : ' ') + Math.abs(ndot).toFixed(8).slice(1);
+    let l1 = '1 ' + cat + (el.classification || 'U').charAt(0) + ' ' + (el.intl || '').padEnd(8, ' ').slice(0, 8) + ' ' + epoch + ' ' + ndotField + ' ' +
+        tleExpField(el.nddot) + ' ' + tleExpField(el.bstar) + ' 0 ' + String((el.elset || 1) % 10000).padStart(4, ' ');
+    let l2 = '2 ' + cat + ' ' + el.inc.toFixed(4).padStart(8, ' ') + ' ' + deg(el.raan) + ' ' + Math.round(Math.min(0.9999999, el.ecc || 0) * 1e7).toString().padStart(7, '0') +
+        ' ' + deg(el.argp || 0) + ' ' + deg(el.ma) + ' ' + el.meanMotion.toFixed(8).padStart(11, ' ') + String((el.revs || 0) % 100000).padStart(5, ' ');
+    l1 += tleChecksum(l1);
+    l2 += tleChecksum(l2);
+    return [l1, l2];
+}
+
+// Parse "inclination raan altitude count [phase]" lines (degrees / km) into a custom plane list
+function parseWalkerPlanes(text) {
+    const planes = [];
+    String(text || '').split('\n').forEach((line, n) => {
+        const v = line.trim();
+        if (!v || v[0] === '#') return;
+        const f = v.split(/[\s,;]+/).map(Number);
+        if (f.length < 4 || f.slice(0, 4).some((x) => !isFinite(x)) || f[3] < 1) throw new Error('line ' + (n + 1) + ': expected "inclination raan altitude count [phase]"');
+        planes.push({ inc: f[0], raan: f[1], alt: f[2], count: Math.round(f[3]), phase: isFinite(f[4]) ? f[4] : 0 });
+    });
+    return planes;
+}
+
+// Keplerian elements for a design. params: { name, pattern: 'delta'|'star'|'custom', total, planes, phasing,
+// inclination, altitude, planeList }
+function walkerElements(params) {
+    const out = [];
+    if (params.pattern === 'custom') {
+        parseWalkerPlanes(params.planeList).forEach((pl, j) => {
+            for (let k = 0; k < pl.count; k++) {
+                out.push({ plane: j, slot: k, inc: pl.inc, raan: pl.raan, ma: pl.phase + k * 360 / pl.count, alt: pl.alt });
+            }
+        });
+        return out;
+    }
+    const T = Math.round(params.total);
+    const P = Math.round(params.planes);
+    if (!(T > 0 && P > 0 && T % P === 0)) throw new Error('total satellites must be a multiple of the number of planes');
+    const S = T / P;
+    const F = Math.round(params.phasing) || 0;
+    if (F < 0 || F >= P) throw new Error('phasing must be between 0 and planes - 1');
+    // Walker-delta spreads ascending nodes over 360°, Walker-star (polar) over 180°
+    const spread = params.pattern === 'star' ? 180 : 360;
+    for (let j = 0; j < P; j++) {
+        for (let k = 0; k < S; k++) {
+            out.push({ plane: j, slot: k, inc: params.inclination, raan: j * spread / P, ma: k * 360 / S + j * F * 360 / T, alt: params.altitude });
+        }
+    }
+    return out;
+}
+
+// First free block of `n` catalog numbers in the designer range
+function allocateWalkerNorads(n) {
+    let start = WALKER_NORAD_BASE;
+    while (start + n <= 99999) {
+        let free = true;
+        for (let k = 0; k < n; k++) {
+            if (findTleIndexByNorad(String(start + k)) >= 0) {
+                start += k + 1;
+                free = false;
+                break;
+            }
+        }
+        if (free) return start;
+    }
+    throw new Error('no free catalog numbers left for designs');
+}
+
+// Build catalog entries (name, tle1, tle2, norad, design) for a design at `epoch`
+function buildWalkerTles(params, epoch) {
+    const els = walkerElements(params);
+    if (els.length === 0) throw new Error('design has no satellites');
+    if (els.some((e) => !(e.alt > 100))) throw new Error('altitude must be above 100 km');
+    const base = allocateWalkerNorads(els.length);
+    return els.map((e, i) => {
+        const norad = String(base + i);
+        const lines = formatTle({ norad: norad, epoch: epoch, inc: e.inc, raan: e.raan, ecc: 0, argp: 0, ma: e.ma, meanMotion: meanMotionAt(e.alt) });
+        return { name: params.name + ' P' + (e.plane + 1) + '-' + (e.slot + 1), tle1: lines[0], tle2: lines[1], norad: norad, design: params.name, source: 'Designer' };
+    });
+}
+
+// Put a design into the scene (replacing an earlier version with the same name)
+function addWalkerDesign(params) {
+    removeWalkerDesign(params.name);
+    const entries = buildWalkerTles(params, new Date(simTime.getTime()));
+    addTLEs(entries);
+    walkerDesigns.set(params.name, { params: params, entries: entries, norads: entries.map((t) => t.norad) });
+    return entries;
+}
+
+function removeWalkerDesign(name) {
+    const d = walkerDesigns.get(name);
+    if (!d) return;
+    walkerDesigns.delete(name);
+    removeTLEs(d.norads);
+}
+
+function loadWalkerDesigns() {
+    try {
+        const list = JSON.parse(localStorage.getItem(WALKER_STORAGE_KEY) || '[]');
+        return Array.isArray(list) ? list.filter((d) => d && d.name) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveWalkerDesign(params) {
+    const list = loadWalkerDesigns().filter((d) => d.name !== params.name);
+    list.push(params);
+    try { localStorage.setItem(WALKER_STORAGE_KEY, JSON.stringify(list)); } catch (e) {}
+}
+
+// Catalog entries -> CCSDS OMM records (CelesTrak JSON field names), read back from the TLE via satrec
+function tleToOmm(t) {
+    const rec = getSatrec(t);
+    if (!rec) return null;
+    const epoch = tleEpochDate(rec);
+    return {
+        OBJECT_NAME: t.name || '',
+        OBJECT_ID: tleIntlDesignator(t),
+        EPOCH: epoch ? epoch.toISOString().replace('Z', '') : '',
+        // rev/day exactly as in the TLE (satrec.no has been un-Kozai'd by sgp4init)
+        MEAN_MOTION: parseFloat(t.tle2.substring(52, 63)),
+        ECCENTRICITY: rec.ecco,
+        INCLINATION: rad2deg(rec.inclo),
+        RA_OF_ASC_NODE: rad2deg(rec.nodeo),
+        ARG_OF_PERICENTER: rad2deg(rec.argpo),
+        MEAN_ANOMALY: rad2deg(rec.mo),
+        EPHEMERIS_TYPE: 0,
+        CLASSIFICATION_TYPE: 'U',
+        NORAD_CAT_ID: Number(tleNorad(t)),
+        ELEMENT_SET_NO: 999,
+        REV_AT_EPOCH: 0,
+        BSTAR: rec.bstar,
+        MEAN_MOTION_DOT: rec.ndot * 1440 * 1440 / (2 * Math.PI),
+        MEAN_MOTION_DDOT: rec.nddot * 1440 * 1440 * 1440 / (2 * Math.PI)
+    };
+}
+
+// Trigger a browser download of `text`
+function downloadText(filename, text, mime) {
+    const blob = new Blob([text], { type: mime || 'text/plain' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { URL.revokeObjectURL(a.href); a.remove(); }, 0);
+}
+
+function exportWalkerDesign(name, format) {
+    const d = walkerDesigns.get(name);
+    if (!d) return false;
+    const entries = d.norads.map((n) => tleData[findTleIndexByNorad(n)]).filter(Boolean);
+    const file = name.replace(/[^\w.-]+/g, '_');
+    if (format === 'omm') {
+        downloadText(file + '.json', JSON.stringify(entries.map(tleToOmm).filter(Boolean), null, 2), 'application/json');
+    } else {
+        downloadText(file + '.tle', entries.map((t) => t.name + '\n' + t.tle1 + '\n' + t.tle2).join('\n') + '\n', 'text/plain');
+    }
+    return true;
+}
+
+// Read the designer form into a params object
+function readWalkerForm() {
+    const val = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+    return {
+        name: (val('inp-walker-name') || 'Design').trim(),
+        pattern: val('sel-walker-pattern') || 'delta',
+        total: Number(val('inp-walker-total')),
+        planes: Number(val('inp-walker-planes')),
+        phasing: Number(val('inp-walker-phasing')),
+        inclination: Number(val('inp-walker-inc')),
+        altitude: Number(val('inp-walker-alt')),
+        planeList: val('inp-walker-planelist')
+    };
+}
+
+function fillWalkerForm(params) {
+    const set = (id, v) => { const el = document.getElementById(id); if (el && v !== undefined) el.value = v; };
+    set('inp-walker-name', params.name);
+    set('sel-walker-pattern', params.pattern);
+    set('inp-walker-total', params.total);
+    set('inp-walker-planes', params.planes);
+    set('inp-walker-phasing', params.phasing);
+    set('inp-walker-inc', params.inclination);
+    set('inp-walker-alt', params.altitude);
+    set('inp-walker-planelist', params.planeList);
+    updateWalkerFormMode();
+}
+
+function updateWalkerFormMode() {
+    const pattern = document.getElementById('sel-walker-pattern');
+    const custom = pattern && pattern.value === 'custom';
+    const walker = document.getElementById('walker-params');
+    const planes = document.getElementById('inp-walker-planelist');
+    if (walker) walker.style.display = custom ? 'none' : '';
+    if (planes) planes.style.display = custom ? '' : 'none';
+}
+
+function renderWalkerSaved() {
+    const sel = document.getElementById('sel-walker-saved');
+    if (!sel) return;
+    sel.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Saved designs…';
+    sel.appendChild(none);
+    loadWalkerDesigns().forEach((d) => {
+        const opt = document.createElement('option');
+        opt.value = d.name;
+        opt.textContent = d.name + (walkerDesigns.has(d.name) ? ' ●' : '');
+        sel.appendChild(opt);
+    });
+}
+
+function toggleWalkerPanel() {
+    const panel = document.getElementById('walker-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+}
+
+function wireWalkerUi() {
+    const status = document.getElementById('walker-status');
+    const setStatus = (text) => { if (status) status.textContent = text; };
+    // the form's buttons share one error path: designer problems are shown, not thrown
+    const action = (id, fn) => {
+        const btn = document.getElementById(id);
+        if (!btn) return;
+        btn.addEventListener('click', () => {
+            try {
+                fn(readWalkerForm());
+            } catch (e) {
+                console.warn('walker designer:', e);
+                setStatus(e && e.message ? e.message : String(e));
+            }
+            renderWalkerSaved();
+        });
+    };
+    action('btn-walker-add', (params) => {
+        const entries = addWalkerDesign(params);
+        setStatus(params.name + ': ' + entries.length + ' satellites added (NORAD ' + entries[0].norad + '–' + entries[entries.length - 1].norad + ')');
+    });
+    action('btn-walker-remove', (params) => {
+        removeWalkerDesign(params.name);
+        setStatus(params.name + ' removed from the scene');
+    });
+    action('btn-walker-save', (params) => {
+        walkerElements(params); // validate before storing
+        saveWalkerDesign(params);
+        setStatus(params.name + ' saved');
+    });
+    action('btn-walker-export-tle', (params) => {
+        if (!exportWalkerDesign(params.name, 'tle')) setStatus('Add the design to the scene before exporting');
+    });
+    action('btn-walker-export-omm', (params) => {
+        if (!exportWalkerDesign(params.name, 'omm')) setStatus('Add the design to the scene before exporting');
+    });
+    const saved = document.getElementById('sel-walker-saved');
+    if (saved) {
+        saved.addEventListener('change', () => {
+            const d = loadWalkerDesigns().find((x) => x.name === saved.value);
+            if (d) fillWalkerForm(d);
+        });
+    }
+    const pattern = document.getElementById('sel-walker-pattern');
+    if (pattern) pattern.addEventListener('change', updateWalkerFormMode);
+    const closeBtn = document.getElementById('walker-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleWalkerPanel);
+    updateWalkerFormMode();
+    renderWalkerSaved();
+}
+
+// --- Catalog sources ---
+// tleData is merged from any number of sources: URLs (CelesTrak groups, an internal mirror, a relative path next to
+// index.html) configured in the sources panel, plus files imported this session. Each source keeps its own entry
+// list; the merge keeps one entry per NORAD number, the one with the newest epoch (earlier sources win ties), and
+// tags it with `source` for the filter chips and the 'source' color scheme.
+const TLE_SOURCES_KEY = 'tle.sources';
+const CELESTRAK_GP_URL = 'https://celestrak.org/NORAD/elements/gp.php?FORMAT=tle&GROUP=';
+const CELESTRAK_GROUPS = [
+    ['active', 'Active satellites'], ['stations', 'Space stations'], ['visual', '100 brightest'], ['starlink', 'Starlink'],
+    ['oneweb', 'OneWeb'], ['gps-ops', 'GPS operational'], ['galileo', 'Galileo'], ['glo-ops', 'GLONASS operational'],
+    ['beidou', 'BeiDou'], ['weather', 'Weather'], ['geo', 'Active GEO'], ['science', 'Space & Earth science'],
+    ['last-30-days', 'Launched in the last 30 days'], ['cosmos-2251-debris', 'COSMOS 2251 debris'],
+    ['iridium-33-debris', 'IRIDIUM 33 debris'], ['fengyun-1c-debris', 'FENGYUN 1C debris']
+];
+const DEFAULT_TLE_SOURCES = [{ label: 'CelesTrak active', url: 'https://celestrak.com/NORAD/elements/active.txt', enabled: true }];
+const SAT_SOURCE_PALETTE = [0x4fc3f7, 0xffb74d, 0x81c784, 0xf06292, 0xba68c8, 0xfff176, 0x4db6ac, 0xe57373, 0x9575cd, 0xaed581];
+let tleSources = DEFAULT_TLE_SOURCES.slice(); // [{ label, url, enabled }], persisted in localStorage
+let catalogSourceEntries = new Map(); // source label -> { kind: 'url' | 'file', entries } as loaded, before merging
+let tleSourceStatus = new Map(); // source label -> { count, errors, loadedAt } or { error }
+let satFilterSources = new Set();
+let satSourceColors = new Map(); // source label -> palette color, stable for the session
+
+function loadTleSources() {
+    try {
+        const list = JSON.parse(localStorage.getItem(TLE_SOURCES_KEY) || 'null');
+        if (Array.isArray(list)) return list.filter((src) => src && src.label && src.url);
+    } catch (e) {}
+    return DEFAULT_TLE_SOURCES.slice();
+}
+
+function saveTleSources() {
+    try { localStorage.setItem(TLE_SOURCES_KEY, JSON.stringify(tleSources)); } catch (e) {}
+}
+
+// Sortable epoch of a TLE entry straight from line 1 (year * 1000 + day of year); -Infinity when unreadable
+function tleEpochKey(t) {
+    const yy = parseInt(t.tle1.substring(18, 20), 10);
+    const doy = parseFloat(t.tle1.substring(20, 32));
+    if (!isFinite(yy) || !isFinite(doy)) return -Infinity;
+    return (yy < 57 ? 2000 + yy : 1900 + yy) * 1000 + doy;
+}
+
+// Per-source lists -> one entry per NORAD number, newest epoch first; configured sources precede files
+function mergeCatalogSources() {
+    const order = tleSources.map((src) => src.label);
+    const labels = Array.from(catalogSourceEntries.keys()).sort((a, b) => {
+        const ia = order.indexOf(a);
+        const ib = order.indexOf(b);
+        return (ia < 0 ? Infinity : ia) - (ib < 0 ? Infinity : ib);
+    });
+    const byNorad = new Map();
+    labels.forEach((label) => {
+        catalogSourceEntries.get(label).entries.forEach((t) => {
+            const id = tleNorad(t);
+            const prev = byNorad.get(id);
+            if (!prev || tleEpochKey(t) > tleEpochKey(prev)) byNorad.set(id, t);
+        });
+    });
+    return Array.from(byNorad.values());
+}
+
+function rebuildCatalogFromSources() {
+    loadCatalog(mergeCatalogSources());
+    renderSourceList();
+}
+
+// Fetch and parse one configured source; resolves to its label when it contributed entries, null otherwise
+async function fetchTleSource(src) {
+    try {
+        const res = await fetch(src.url);
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const result = parseCatalogText(await res.text());
+        if (result.entries.length === 0) throw new Error(result.errors.length ? result.errors[0].message : 'no TLEs in the response');
+        result.entries.forEach((t) => { t.source = src.label; });
+        catalogSourceEntries.set(src.label, { kind: 'url', entries: result.entries });
+        tleSourceStatus.set(src.label, { count: result.entries.length, errors: result.errors.length, loadedAt: Date.now() });
+        if (result.errors.length) console.warn('catalog source', src.label + ':', result.errors.length, 'rejected line(s)', result.errors.slice(0, 20));
+        return src.label;
+    } catch (e) {
+        console.warn('catalog source', src.label, 'failed', e);
+        tleSourceStatus.set(src.label, { error: e && e.message ? e.message : String(e) });
+        return null;
+    }
+}
+
+// Rebuild the per-source lists from a cache record; rebuildCatalogFromSources() merges them again. Records from
+// before per-source lists only have the merged `entries`, each carrying its `source`.
+function restoreCachedSources(cached) {
+    if ((cached.sources || []).some((x) => Array.isArray(x.entries))) {
+        cached.sources.forEach((x) => {
+            if (!x.entries || !x.entries.length) return;
+            x.entries.forEach((t) => { t.source = x.label; });
+            catalogSourceEntries.set(x.label, { kind: x.kind || 'url', entries: x.entries });
+        });
+        return;
+    }
+    const kinds = new Map((cached.sources || []).map((x) => [x.label, x.kind]));
+    (cached.entries || []).forEach((t) => {
+        const label = t.source || cached.source || 'cache';
+        t.source = label;
+        if (!catalogSourceEntries.has(label)) catalogSourceEntries.set(label, { kind: kinds.get(label) || 'url', entries: [] });
+        catalogSourceEntries.get(label).entries.push(t);
+    });
+}
+
+function addTleSource(label, url) {
+    label = String(label || '').trim();
+    url = String(url || '').trim();
+    if (!label || !url) throw new Error('a source needs a label and a URL');
+    tleSources = tleSources.filter((src) => src.label !== label);
+    tleSources.push({ label: label, url: url, enabled: true });
+    saveTleSources();
+    return fetchTleSource({ label: label, url: url }).then((ok) => {
+        if (ok) {
+            rebuildCatalogFromSources();
+            cacheCatalog(null);
+        }
+        renderSourceList();
+        return ok;
+    });
+}
+
+// Drop a configured source or an imported file, with its objects
+function removeTleSource(label) {
+    tleSources = tleSources.filter((src) => src.label !== label);
+    saveTleSources();
+    tleSourceStatus.delete(label);
+    if (catalogSourceEntries.delete(label)) {
+        rebuildCatalogFromSources();
+        cacheCatalog(null);
+    }
+    renderSourceList();
+}
+
+function setTleSourceEnabled(label, enabled) {
+    const src = tleSources.find((x) => x.label === label);
+    if (!src) return;
+    src.enabled = !!enabled;
+    saveTleSources();
+    if (!src.enabled) {
+        if (catalogSourceEntries.delete(label)) {
+            rebuildCatalogFromSources();
+            cacheCatalog(null);
+        }
+        renderSourceList();
+        return;
+    }
+    fetchTleSource(src).then((ok) => {
+        if (ok) {
+            rebuildCatalogFromSources();
+            cacheCatalog(null);
+        }
+        renderSourceList();
+    });
+}
+
+function sourceColor(label) {
+    if (!satSourceColors.has(label)) satSourceColors.set(label, SAT_SOURCE_PALETTE[satSourceColors.size % SAT_SOURCE_PALETTE.length]);
+    return satSourceColors.get(label);
+}
+
+// Filter chips, one per source present in the catalog (shown only when there is more than one)
+function renderSourceChips() {
+    const labels = Array.from(new Set(tleData.map((t) => t.source).filter(Boolean)));
+    // a chip for a source that no longer contributes would filter everything out
+    satFilterSources.forEach((label) => { if (labels.indexOf(label) < 0) satFilterSources.delete(label); });
+    const chips = document.getElementById('sat-source-chips');
+    if (!chips) return;
+    chips.innerHTML = '';
+    if (labels.length < 2) return;
+    labels.forEach((label) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'filter-chip' + (satFilterSources.has(label) ? ' active' : '');
+        chip.textContent = label;
+        chip.setAttribute('aria-pressed', String(satFilterSources.has(label)));
+        chip.addEventListener('click', () => {
+            if (satFilterSources.has(label)) satFilterSources.delete(label); else satFilterSources.add(label);
+            chip.classList.toggle('active', satFilterSources.has(label));
+            chip.setAttribute('aria-pressed', String(satFilterSources.has(label)));
+            updateSatVisibility();
+        });
+        chips.appendChild(chip);
+    });
+}
+
+// Sources panel: configured URLs (enable / remove) and imported files, with their load status
+function renderSourceList() {
+    const body = document.getElementById('source-list');
+    if (!body) return;
+    body.innerHTML = '';
+    const rows = tleSources.map((src) => ({ label: src.label, url: src.url, enabled: src.enabled, kind: 'url' }));
+    catalogSourceEntries.forEach((v, label) => {
+        if (!rows.some((r) => r.label === label)) rows.push({ label: label, url: v.kind === 'file' ? 'imported file' : 'cached', enabled: true, kind: v.kind, fixed: true });
+    });
+    const merged = new Map();
+    tleData.forEach((t) => { if (t.source) merged.set(t.source, (merged.get(t.source) || 0) + 1); });
+    rows.forEach((r) => {
+        const tr = document.createElement('tr');
+        const tdOn = document.createElement('td');
+        const chk = document.createElement('input');
+        chk.type = 'checkbox';
+        chk.checked = r.enabled;
+        chk.disabled = !!r.fixed;
+        chk.title = r.fixed ? 'Remove to drop its objects' : 'Load this source';
+        chk.addEventListener('change', () => setTleSourceEnabled(r.label, chk.checked));
+        tdOn.appendChild(chk);
+        const tdName = document.createElement('td');
+        tdName.textContent = r.label;
+        tdName.title = r.url;
+        const tdStatus = document.createElement('td');
+        const st = tleSourceStatus.get(r.label);
+        const list = catalogSourceEntries.get(r.label);
+        if (st && st.error) {
+            tdStatus.textContent = (list ? 'cached · ' : '') + st.error;
+            tdStatus.className = 'source-error';
+        } else if (list) {
+            tdStatus.textContent = list.entries.length + ' loaded, ' + (merged.get(r.label) || 0) + ' used' + (st && st.errors ? ', ' + st.errors + ' rejected' : '');
+        } else {
+            tdStatus.textContent = r.enabled ? '…' : 'off';
+        }
+        const tdRemove = document.createElement('td');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'time-jump';
+        btn.textContent = '×';
+        btn.title = 'Remove source';
+        btn.addEventListener('click', () => removeTleSource(r.label));
+        tdRemove.appendChild(btn);
+        [tdOn, tdName, tdStatus, tdRemove].forEach((td) => tr.appendChild(td));
+        body.appendChild(tr);
+    });
+}
+
+function toggleSourcesPanel() {
+    const panel = document.getElementById('sources-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+    renderSourceList();
+}
+
+function wireSourcesUi() {
+    tleSources = loadTleSources();
+    const preset = document.getElementById('sel-source-preset');
+    const url = document.getElementById('inp-source-url');
+    const label = document.getElementById('inp-source-label');
+    const status = document.getElementById('source-status');
+    if (preset) {
+        CELESTRAK_GROUPS.forEach(([group, name]) => {
+            const opt = document.createElement('option');
+            opt.value = group;
+            opt.textContent = 'CelesTrak: ' + name;
+            preset.appendChild(opt);
+        });
+        preset.addEventListener('change', () => {
+            const g = CELESTRAK_GROUPS.find((x) => x[0] === preset.value);
+            if (!g) return;
+            if (url) url.value = CELESTRAK_GP_URL + g[0];
+            if (label) label.value = 'CelesTrak ' + g[1].toLowerCase();
+        });
+    }
+    const addBtn = document.getElementById('btn-source-add');
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            try {
+                if (status) status.textContent = 'Loading…';
+                addTleSource(label && label.value, url && url.value).then((ok) => {
+                    if (status) status.textContent = ok ? '' : 'Saved, but the source could not be loaded (see the list)';
+                });
+            } catch (e) {
+                if (status) status.textContent = e.message;
+            }
+        });
+    }
+    const reloadBtn = document.getElementById('btn-sources-reload');
+    if (reloadBtn) reloadBtn.addEventListener('click', () => fetchTLES());
+    const closeBtn = document.getElementById('sources-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleSourcesPanel);
+    renderSourceList();
+}
+
+// --- Local catalog import ---
+// Files are read in the browser (file picker or drop onto the canvas), so catalogs work without network access.
+// Every format ends up as catalog entries { name, tle1, tle2, norad }: TLE text is validated as-is, CCSDS OMM
+// records (JSON, XML, CSV, KVN) are written out as TLEs with formatTle(). Problems are collected per line or
+// record instead of aborting the whole file.
+const IMPORT_MAX_ERRORS_SHOWN = 200;
+const OMM_REQUIRED_FIELDS = ['NORAD_CAT_ID', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY'];
+
+// Guess the format from the content: 'json' | 'xml' | 'kvn' | 'csv' | 'tle'
+function detectCatalogFormat(text) {
+    const head = text.replace(/^﻿/, '').trimStart();
+    if (head[0] === '[' || head[0] === '{') return 'json';
+    if (head[0] === '<') return 'xml';
+    if (/^\s*CCSDS_OMM_VERS\s*=/m.test(head)) return 'kvn';
+    const firstLine = head.split('\n', 1)[0];
+    if (/NORAD_CAT_ID/i.test(firstLine) && firstLine.indexOf(',') >= 0) return 'csv';
+    return 'tle';
+}
+
+// Check one TLE line: number, length and checksum. Returns an error message or null.
+function tleLineError(line, lineNo) {
+    if (line[0] !== String(lineNo) || line[1] !== ' ') return 'expected TLE line ' + lineNo;
+    if (line.length !== 69) return 'TLE line ' + lineNo + ' has ' + line.length + ' characters, expected 69';
+    const sum = tleChecksum(line);
+    if (line[68] !== String(sum)) return 'checksum mismatch (line says ' + line[68] + ', computed ' + sum + ')';
+    return null;
+}
+
+// 2LE / 3LE text (optionally "0 NAME" name lines) -> { entries, errors: [{ line, message }] }
+function parseTleText(text) {
+    const lines = text.replace(/^﻿/, '').split('\n').map((l) => l.replace(/\s+$/, ''));
+    const entries = [];
+    const errors = [];
+    let name = null;
+    let nameLine = 0;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim()) continue;
+        if (line.startsWith('1 ')) {
+            let j = i + 1;
+            while (j < lines.length && !lines[j].trim()) j++;
+            const line2 = lines[j] || '';
+            if (!line2.startsWith('2 ')) {
+                errors.push({ line: i + 1, message: 'line 1 is not followed by line 2' });
+                name = null;
+                continue;
+            }
+            const err = tleLineError(line, 1);
+            const err2 = tleLineError(line2, 2);
+            const norad = line.substring(2, 7).trim();
+            if (err) errors.push({ line: i + 1, message: err });
+            if (err2) errors.push({ line: j + 1, message: err2 });
+            if (!err && !err2 && line2.substring(2, 7).trim() !== norad) {
+                errors.push({ line: j + 1, message: 'catalog number ' + line2.substring(2, 7).trim() + ' does not match line 1 (' + norad + ')' });
+            } else if (!err && !err2) {
+                const t = { name: name || ('NORAD ' + norad), tle1: line, tle2: line2, norad: norad };
+                if (getSatrec(t)) entries.push(t);
+                else errors.push({ line: i + 1, message: 'elements could not be parsed' });
+            }
+            name = null;
+            i = j;
+        } else if (line.startsWith('2 ')) {
+            errors.push({ line: i + 1, message: 'line 2 without a preceding line 1' });
+            name = null;
+        } else {
+            if (name !== null) errors.push({ line: nameLine, message: 'name "' + name + '" is not followed by TLE lines' });
+            name = line.replace(/^0 /, '').trim();
+            nameLine = i + 1;
+        }
+    }
+    if (name !== null) errors.push({ line: nameLine, message: 'name "' + name + '" is not followed by TLE lines' });
+    return { entries: entries, errors: errors };
+}
+
+// OMM epoch "YYYY-MM-DDThh:mm:ss[.ffffff]" or "YYYY-DDDThh:mm:ss[.ffffff]" (always UTC) -> Date or null
+function parseOmmEpoch(text) {
+    const m = /^(\d{4})-(?:(\d{2})-(\d{2})|(\d{3}))T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)Z?$/.exec(String(text || '').trim());
+    if (!m) return null;
+    const day = m[4] ? Date.UTC(+m[1], 0, +m[4]) : Date.UTC(+m[1], +m[2] - 1, +m[3]);
+    return new Date(day + ((+m[5]) * 60 + (+m[6])) * 60000 + parseFloat(m[7]) * 1000);
+}
+
+// One OMM record (field name -> string/number) -> catalog entry; throws with a readable message
+function ommToTle(rec) {
+    const missing = OMM_REQUIRED_FIELDS.filter((k) => rec[k] === undefined || rec[k] === '');
+    if (missing.length) throw new Error('missing ' + missing.join(', '));
+    const theory = String(rec.MEAN_ELEMENT_THEORY || 'SGP4').trim().toUpperCase();
+    if (theory !== 'SGP4') throw new Error('MEAN_ELEMENT_THEORY ' + theory + ' is not supported (SGP4 only)');
+    const num = (k) => {
+        if (rec[k] === undefined || rec[k] === '') return 0;
+        const v = Number(rec[k]);
+        if (!isFinite(v)) throw new Error(k + ' is not a number: ' + rec[k]);
+        return v;
+    };
+    const norad = num('NORAD_CAT_ID');
+    if (!Number.isInteger(norad) || norad < 1 || norad > 99999) throw new Error('NORAD_CAT_ID ' + rec.NORAD_CAT_ID + ' does not fit a TLE');
+    const epoch = parseOmmEpoch(rec.EPOCH);
+    if (!epoch) throw new Error('EPOCH is not a CCSDS date: ' + rec.EPOCH);
+    const ecc = num('ECCENTRICITY');
+    if (ecc < 0 || ecc >= 1) throw new Error('ECCENTRICITY ' + ecc + ' is outside [0, 1)');
+    const intl = /^(\d{2})(\d{2})-(\d{3}\w{0,3})$/.exec(String(rec.OBJECT_ID || '').trim());
+    const lines = formatTle({
+        norad: norad,
+        epoch: epoch,
+        inc: num('INCLINATION'),
+        raan: num('RA_OF_ASC_NODE'),
+        ecc: ecc,
+        argp: num('ARG_OF_PERICENTER'),
+        ma: num('MEAN_ANOMALY'),
+        meanMotion: num('MEAN_MOTION'),
+        ndot: num('MEAN_MOTION_DOT'),
+        nddot: num('MEAN_MOTION_DDOT'),
+        bstar: num('BSTAR'),
+        intl: intl ? intl[2] + intl[3] : '',
+        elset: num('ELEMENT_SET_NO') || 999,
+        revs: num('REV_AT_EPOCH'),
+        classification: String(rec.CLASSIFICATION_TYPE || 'U').trim()
+    });
+    const t = { name: String(rec.OBJECT_NAME || ('NORAD ' + norad)).trim(), tle1: lines[0], tle2: lines[1], norad: lines[0].substring(2, 7).trim() };
+    if (!getSatrec(t)) throw new Error('elements could not be parsed');
+    return t;
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const out = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cur += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { out.push(cur); cur = ''; }
+        else cur += ch;
+    }
+    out.push(cur);
+    return out.map((v) => v.trim());
+}
+
+// OMM text in any of the CCSDS encodings -> [{ at: 'line n' | 'record n', fields }]
+function splitOmmRecords(text, format) {
+    const records = [];
+    if (format === 'json') {
+        let data;
+        try { data = JSON.parse(text); } catch (e) { throw new Error('JSON: ' + e.message); }
+        (Array.isArray(data) ? data : [data]).forEach((r, i) => records.push({ at: 'record ' + (i + 1), fields: r || {} }));
+    } else if (format === 'xml') {
+        // CCSDS NDM/XML nests the keywords in metadata / meanElements / tleParameters; only the leaf names matter
+        const blocks = text.match(/<omm\b[\s\S]*?<\/omm>/gi) || [text];
+        blocks.forEach((block, i) => {
+            const fields = {};
+            const re = /<([A-Za-z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+            let m;
+            while ((m = re.exec(block))) fields[m[1].toUpperCase()] = m[2].trim();
+            records.push({ at: 'record ' + (i + 1), fields: fields });
+        });
+    } else if (format === 'csv') {
+        const lines = text.replace(/^﻿/, '').split('\n');
+        const header = splitCsvLine(lines[0]).map((h) => h.toUpperCase());
+        for (let i = 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const values = splitCsvLine(lines[i]);
+            const fields = {};
+            header.forEach((h, k) => { fields[h] = values[k]; });
+            records.push({ at: 'line ' + (i + 1), fields: fields });
+        }
+    } else if (format === 'kvn') {
+        // "KEY = value [unit]" lines; each message starts with CCSDS_OMM_VERS
+        let cur = null;
+        text.split('\n').forEach((raw, i) => {
+            const m = /^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*(?:\[[^\]]*\])?\s*$/.exec(raw);
+            if (!m || m[1] === 'COMMENT') return;
+            if (m[1] === 'CCSDS_OMM_VERS' || !cur) {
+                cur = { at: 'line ' + (i + 1), fields: {} };
+                records.push(cur);
+            }
+            cur.fields[m[1]] = m[2];
+        });
+    }
+    return records;
+}
+
+// Parse a catalog file of any supported format -> { format, entries, errors: [{ line | record, message }] }
+function parseCatalogText(text) {
+    const format = detectCatalogFormat(text);
+    if (format === 'tle') return Object.assign({ format: format }, parseTleText(text));
+    const entries = [];
+    const errors = [];
+    let records = [];
+    try {
+        records = splitOmmRecords(text, format);
+    } catch (e) {
+        errors.push({ at: 'file', message: e.message });
+    }
+    records.forEach((r) => {
+        try {
+            entries.push(ommToTle(r.fields));
+        } catch (e) {
+            errors.push({ at: r.at, message: e.message });
+        }
+    });
+    return { format: 'omm-' + format, entries: entries, errors: errors };
+}
+
+// Replace the whole catalog (designs stay) and restart propagation, as after a fetch
+function loadCatalog(entries) {
+    tleData = entries.slice();
+    // designs added before the catalog arrived stay in the scene
+    walkerDesigns.forEach((d) => { tleData = tleData.concat(d.entries); });
+    console.log('Loaded TLE count:', tleData.length);
+    allocateSatBuffers();
+    setupSgp4Pool();
+    if (!requestSatUpdate(true)) updateTLEPositionsFallback();
+}
+
+// Bring imported entries into the scene, one source per file; `replace` drops every other source first
+function importCatalogEntries(entries, replace) {
+    if (replace) catalogSourceEntries.clear();
+    const files = new Map();
+    entries.forEach((t) => {
+        if (!files.has(t.source)) files.set(t.source, []);
+        files.get(t.source).push(t);
+    });
+    files.forEach((list, label) => catalogSourceEntries.set(label, { kind: 'file', entries: list }));
+    rebuildCatalogFromSources();
+    return new Set(entries.map(tleNorad)).size;
+}
+
+// Read dropped / picked files, import everything that parsed and report the rest
+async function importCatalogFiles(files) {
+    const list = Array.from(files || []);
+    if (list.length === 0) return;
+    const replaceEl = document.getElementById('chk-import-replace');
+    const entries = [];
+    const report = [];
+    const errors = [];
+    for (const file of list) {
+        try {
+            const result = parseCatalogText(await file.text());
+            result.entries.forEach((t) => { t.source = file.name; entries.push(t); });
+            result.errors.forEach((e) => errors.push({ file: file.name, at: e.at || ('line ' + e.line), message: e.message }));
+            report.push(file.name + ': ' + result.entries.length + ' objects (' + result.format.toUpperCase() + ')' +
+                (result.errors.length ? ', ' + result.errors.length + ' problem(s)' : ''));
+        } catch (e) {
+            console.warn('import failed for', file.name, e);
+            errors.push({ file: file.name, at: 'file', message: e && e.message ? e.message : String(e) });
+        }
+    }
+    const replace = !!(replaceEl && replaceEl.checked) || catalogSourceEntries.size === 0;
+    const count = entries.length ? importCatalogEntries(entries, replace) : 0;
+    if (count) cacheCatalog(replace ? list.map((f) => f.name).join(', ') : null);
+    console.log('Imported', count, 'objects from', list.length, 'file(s) with', errors.length, 'problem(s)');
+    renderImportReport(report, errors, count);
+    const panel = document.getElementById('import-panel');
+    if (panel) panel.style.display = 'block';
+}
+
+function renderImportReport(report, errors, count) {
+    const status = document.getElementById('import-status');
+    if (status) status.textContent = report.join(' · ') + (report.length ? ' — ' : '') + count + ' object(s) in the scene from this import';
+    const list = document.getElementById('import-errors');
+    if (!list) return;
+    list.innerHTML = '';
+    errors.slice(0, IMPORT_MAX_ERRORS_SHOWN).forEach((e) => {
+        const li = document.createElement('li');
+        li.textContent = e.file + ' ' + e.at + ': ' + e.message;
+        list.appendChild(li);
+    });
+    if (errors.length > IMPORT_MAX_ERRORS_SHOWN) {
+        const li = document.createElement('li');
+        li.textContent = '… ' + (errors.length - IMPORT_MAX_ERRORS_SHOWN) + ' more (see console)';
+        list.appendChild(li);
+        console.warn('import problems:', errors);
+    }
+    list.style.display = errors.length ? '' : 'none';
+}
+
+function toggleImportPanel() {
+    const panel = document.getElementById('import-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+}
+
+function wireImportUi() {
+    const input = document.getElementById('inp-import-file');
+    if (input) {
+        input.addEventListener('change', () => {
+            importCatalogFiles(input.files);
+            input.value = ''; // picking the same file again should re-import it
+        });
+    }
+    const closeBtn = document.getElementById('import-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleImportPanel);
+    // drop files anywhere on the canvas
+    const target = document.getElementById('canvas-container');
+    if (!target) return;
+    const hasFiles = (ev) => ev.dataTransfer && Array.prototype.indexOf.call(ev.dataTransfer.types || [], 'Files') >= 0;
+    target.addEventListener('dragover', (ev) => {
+        if (!hasFiles(ev)) return;
+        ev.preventDefault();
+        ev.dataTransfer.dropEffect = 'copy';
+        target.classList.add('drop-active');
+    });
+    target.addEventListener('dragleave', () => target.classList.remove('drop-active'));
+    target.addEventListener('drop', (ev) => {
+        target.classList.remove('drop-active');
+        if (!hasFiles(ev)) return;
+        ev.preventDefault();
+        importCatalogFiles(ev.dataTransfer.files);
+    });
+}
+
+// --- State export ---
+// Writes the state of every shown object (search, chips and health filters applied) at simTime or over a range.
+// States come from requestSatStates(), i.e. the same SGP4 pool as the points, in full precision. SGP4 output is
+// TEME, written as "ECI"; ECEF uses the same GMST as the globe, and its velocity includes the Earth-rotation term.
+const EARTH_ROTATION_RAD_S = 7.2921158553e-5;
+const EXPORT_MAX_RECORDS = 250000;
+const EXPORT_MAX_STEPS = 1440;
+const EXPORT_CHUNK_VALUES = 4000000; // doubles per requestSatStates call (positions), bounds memory per round
+
+// Shown objects an export would cover (ascending catalog indices)
+function exportIndices() {
+    const indices = [];
+    for (let i = 0; i < tleData.length; i++) if (satPickable(i) && tleData[i].tle1) indices.push(i);
+    return indices;
+}
+
+// Time steps a range export of the shown objects can have under EXPORT_MAX_RECORDS / EXPORT_MAX_STEPS
+function exportStepLimit(count) {
+    return Math.min(EXPORT_MAX_STEPS, Math.floor(EXPORT_MAX_RECORDS / Math.max(1, count)));
+}
+
+// Sample times (ms) for an export: one at `start`, or start..start+durationMs every stepMs
+function exportTimes(start, durationMs, stepMs) {
+    if (!(durationMs > 0)) return [start];
+    if (!(stepMs > 0)) throw new Error('step must be positive');
+    const steps = Math.floor(durationMs / stepMs);
+    if (steps + 1 > EXPORT_MAX_STEPS) throw new Error('too many time steps (' + (steps + 1) + ', at most ' + EXPORT_MAX_STEPS + ')');
+    const times = [];
+    for (let k = 0; k <= steps; k++) times.push(start + k * stepMs);
+    return times;
+}
+
+// ECI position / velocity (km, km/s) at `date` -> { ecef, ecefVel, lat, lon (deg), alt (km) }
+function eciStateToEarthFixed(p, v, date) {
+    const gmst = getGMSTRad(date);
+    const c = Math.cos(gmst);
+    const s = Math.sin(gmst);
+    const ecef = { x: c * p.x + s * p.y, y: -s * p.x + c * p.y, z: p.z };
+    // v_ecef = R v_eci - ω × r_ecef
+    const ecefVel = { x: c * v.x + s * v.y + EARTH_ROTATION_RAD_S * ecef.y, y: -s * v.x + c * v.y - EARTH_ROTATION_RAD_S * ecef.x, z: v.z };
+    const geo = satellite.eciToGeodetic(p, gmst);
+    return { ecef: ecef, ecefVel: ecefVel, lat: rad2deg(geo.latitude), lon: rad2deg(geo.longitude), alt: geo.height };
+}
+
+// Propagate the shown objects at `times`. Resolves to { objects: [{ index, name, norad, epoch, samples }] } where each
+// sample is { time, eci, eciVel, ecef, ecefVel, lat, lon, alt }; objects without a valid state at a time skip it.
+async function collectSatStates(times, onProgress) {
+    const indices = exportIndices();
+    if (indices.length === 0) throw new Error('no objects are shown');
+    if (indices.length * times.length > EXPORT_MAX_RECORDS) {
+        throw new Error(indices.length + ' objects × ' + times.length + ' times exceeds ' + EXPORT_MAX_RECORDS + ' records; filter or widen the step');
+    }
+    const objects = indices.map((i) => {
+        const epoch = tleEpochDate(getSatrec(tleData[i]));
+        return { index: i, name: tleData[i].name || '', norad: tleNorad(tleData[i]), epoch: epoch ? epoch.toISOString() : '', samples: [] };
+    });
+    const catalog = tleData;
+    const perChunk = Math.max(1, Math.floor(EXPORT_CHUNK_VALUES / (indices.length * 3)));
+    for (let k0 = 0; k0 < times.length; k0 += perChunk) {
+        const chunk = times.slice(k0, k0 + perChunk);
+        const st = await requestSatStates(chunk, indices);
+        if (tleData !== catalog) throw new Error('the catalog changed during the export');
+        chunk.forEach((time, k) => {
+            const date = new Date(time);
+            const base = k * indices.length * 3;
+            objects.forEach((o, n) => {
+                const j = base + n * 3;
+                const p = { x: st.positions[j], y: st.positions[j + 1], z: st.positions[j + 2] };
+                if (p.x === 0 && p.y === 0 && p.z === 0) return;
+                const v = { x: st.velocities[j], y: st.velocities[j + 1], z: st.velocities[j + 2] };
+                o.samples.push(Object.assign({ time: time, eci: p, eciVel: v }, eciStateToEarthFixed(p, v, date)));
+            });
+        });
+        if (onProgress) onProgress(Math.min(times.length, k0 + perChunk), times.length);
+    }
+    return { objects: objects };
+}
+
+function statesToCsv(states) {
+    const cols = ['name', 'norad', 'epoch', 'time',
+        'eci_x_km', 'eci_y_km', 'eci_z_km', 'eci_vx_km_s', 'eci_vy_km_s', 'eci_vz_km_s',
+        'ecef_x_km', 'ecef_y_km', 'ecef_z_km', 'ecef_vx_km_s', 'ecef_vy_km_s', 'ecef_vz_km_s',
+        'lat_deg', 'lon_deg', 'alt_km'];
+    const quote = (v) => (/[",\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v);
+    const km = (x) => x.toFixed(6);
+    const lines = [cols.join(',')];
+    states.objects.forEach((o) => {
+        o.samples.forEach((s) => {
+            lines.push([quote(o.name), o.norad, o.epoch, new Date(s.time).toISOString(),
+                km(s.eci.x), km(s.eci.y), km(s.eci.z), km(s.eciVel.x), km(s.eciVel.y), km(s.eciVel.z),
+                km(s.ecef.x), km(s.ecef.y), km(s.ecef.z), km(s.ecefVel.x), km(s.ecefVel.y), km(s.ecefVel.z),
+                s.lat.toFixed(6), s.lon.toFixed(6), km(s.alt)].join(','));
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+function statesToJson(states) {
+    const vec = (v) => [v.x, v.y, v.z];
+    const records = [];
+    states.objects.forEach((o) => {
+        o.samples.forEach((s) => {
+            records.push({
+                name: o.name,
+                norad: o.norad,
+                epoch: o.epoch,
+                time: new Date(s.time).toISOString(),
+                eci: { position: vec(s.eci), velocity: vec(s.eciVel) },
+                ecef: { position: vec(s.ecef), velocity: vec(s.ecefVel) },
+                lat: s.lat,
+                lon: s.lon,
+                alt: s.alt
+            });
+        });
+    });
+    return JSON.stringify({ frame: 'ECI = TEME (SGP4), ECEF via GMST; km, km/s, degrees', records: records }, null, 1);
+}
+
+// CZML document: one packet per object with Earth-fixed position and velocity (m, m/s), colored as on the globe
+function statesToCzml(states, times) {
+    const start = new Date(times[0]).toISOString();
+    const end = new Date(times[times.length - 1]).toISOString();
+    const doc = [{
+        id: 'document',
+        name: '3D Earth export ' + start,
+        version: '1.0',
+        clock: { interval: start + '/' + end, currentTime: start, multiplier: 60 }
+    }];
+    states.objects.forEach((o) => {
+        if (o.samples.length === 0) return;
+        const m = (s) => [s.ecef.x * 1000, s.ecef.y * 1000, s.ecef.z * 1000, s.ecefVel.x * 1000, s.ecefVel.y * 1000, s.ecefVel.z * 1000];
+        const position = { referenceFrame: 'FIXED' };
+        if (times.length > 1) {
+            position.epoch = start;
+            position.interpolationAlgorithm = 'LAGRANGE';
+            position.interpolationDegree = 5;
+            position.cartesianVelocity = [];
+            o.samples.forEach((s) => { position.cartesianVelocity.push((s.time - times[0]) / 1000, ...m(s)); });
+        } else {
+            position.cartesianVelocity = m(o.samples[0]);
+        }
+        const c = satColorBuffer ? [0, 1, 2].map((k) => Math.round(satColorBuffer[o.index * 3 + k] * 255)) : [255, 171, 0];
+        doc.push({
+            id: 'norad-' + o.norad,
+            name: o.name,
+            description: 'NORAD ' + o.norad + ', TLE epoch ' + o.epoch,
+            availability: new Date(o.samples[0].time).toISOString() + '/' + new Date(o.samples[o.samples.length - 1].time).toISOString(),
+            position: position,
+            point: { pixelSize: 5, color: { rgba: c.concat([255]) } }
+        });
+    });
+    return JSON.stringify(doc);
+}
+
+async function runStateExport() {
+    const status = document.getElementById('export-status');
+    const setStatus = (text) => { if (status) status.textContent = text; };
+    const val = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+    const format = val('sel-export-format') || 'csv';
+    try {
+        const durationMin = val('sel-export-range') === 'range' ? Number(val('inp-export-duration')) : 0;
+        const times = exportTimes(simTime.getTime(), durationMin * 60000, Number(val('inp-export-step')) * 1000);
+        setStatus('Propagating…');
+        const states = await collectSatStates(times, (done, total) => setStatus('Propagating… ' + done + '/' + total));
+        const stamp = new Date(times[0]).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        let records = 0;
+        let objects = 0;
+        states.objects.forEach((o) => { records += o.samples.length; if (o.samples.length) objects++; });
+        if (format === 'json') downloadText('states-' + stamp + '.json', statesToJson(states), 'application/json');
+        else if (format === 'czml') downloadText('states-' + stamp + '.czml', statesToCzml(states, times), 'application/json');
+        else downloadText('states-' + stamp + '.csv', statesToCsv(states), 'text/csv');
+        setStatus(records + ' records (' + objects + ' objects × ' + times.length + ' time' + (times.length === 1 ? '' : 's') + ') exported as ' + format.toUpperCase());
+    } catch (e) {
+        console.warn('state export failed', e);
+        setStatus(e && e.message ? e.message : String(e));
+    }
+}
+
+function updateExportFormMode() {
+    const range = document.getElementById('sel-export-range');
+    const opts = document.getElementById('export-range-options');
+    if (opts) opts.style.display = (range && range.value === 'range') ? '' : 'none';
+    updateExportLimit();
+}
+
+// Step budget next to the range inputs: the record cap divided by the objects currently shown
+function updateExportLimit() {
+    const el = document.getElementById('val-export-limit');
+    if (!el) return;
+    const count = exportIndices().length;
+    const steps = exportStepLimit(count);
+    const step = Number((document.getElementById('inp-export-step') || {}).value) || 0;
+    el.textContent = count + ' shown: at most ' + steps + ' time step' + (steps === 1 ? '' : 's')
+        + (step > 0 && steps > 1 ? ' (' + formatGap((steps - 1) * step) + ' at this step)' : '');
+}
+
+function toggleExportPanel() {
+    const panel = document.getElementById('export-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+    if (panel.style.display === 'block') updateExportLimit();
+}
+
+function wireExportUi() {
+    const run = document.getElementById('btn-export-run');
+    if (run) run.addEventListener('click', runStateExport);
+    const range = document.getElementById('sel-export-range');
+    if (range) range.addEventListener('change', updateExportFormMode);
+    const step = document.getElementById('inp-export-step');
+    if (step) step.addEventListener('input', updateExportLimit);
+    const closeBtn = document.getElementById('export-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleExportPanel);
+    updateExportFormMode();
+}
+
+// --- Offline catalog cache ---
+// The last successfully loaded catalog (fetched or imported; designer constellations excluded) is kept in IndexedDB
+// with its load time. Startup shows the cached copy at once and fetchTLES() refreshes it in the background; if the
+// fetch fails the cached catalog simply stays.
+const TLE_CACHE_DB = 'tle-cache';
+const TLE_CACHE_STORE = 'catalogs';
+const TLE_CACHE_KEY = 'current';
+const CATALOG_AGE_REFRESH_MS = 60000;
+let catalogInfo = { source: null, loadedAt: null, fromCache: false };
+
+// Resolves to the database, or null when IndexedDB is unavailable (private mode, file://, old browsers)
+function openTleCache() {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') { resolve(null); return; }
+        try {
+            const req = indexedDB.open(TLE_CACHE_DB, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(TLE_CACHE_STORE);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => resolve(null);
+            req.onblocked = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+// { source, loadedAt (ms), entries: [{ name, tle1, tle2, norad, source }], sources: [{ label, kind }] } or null
+async function readTleCache() {
+    const db = await openTleCache();
+    if (!db) return null;
+    return new Promise((resolve) => {
+        try {
+            const req = db.transaction(TLE_CACHE_STORE, 'readonly').objectStore(TLE_CACHE_STORE).get(TLE_CACHE_KEY);
+            req.onsuccess = () => { db.close(); resolve(req.result || null); };
+            req.onerror = () => { db.close(); resolve(null); };
+        } catch (e) {
+            db.close();
+            resolve(null);
+        }
+    });
+}
+
+async function writeTleCache(record) {
+    const db = await openTleCache();
+    if (!db) return false;
+    return new Promise((resolve) => {
+        try {
+            const tx = db.transaction(TLE_CACHE_STORE, 'readwrite');
+            tx.objectStore(TLE_CACHE_STORE).put(record, TLE_CACHE_KEY);
+            tx.oncomplete = () => { db.close(); resolve(true); };
+            tx.onerror = () => { console.warn('TLE cache write failed', tx.error); db.close(); resolve(false); };
+        } catch (e) {
+            console.warn('TLE cache write failed', e);
+            db.close();
+            resolve(false);
+        }
+    });
+}
+
+// Persist the current catalog. `source` names a freshly loaded catalog; null keeps source and load time
+// (entries merged into an existing catalog do not make the rest of it newer). Each source's own list is stored,
+// not the merged result, so objects another source superseded come back when that source is switched off offline.
+function cacheCatalog(source) {
+    if (source || !catalogInfo.loadedAt) catalogInfo = { source: source || 'unknown', loadedAt: Date.now(), fromCache: false };
+    const sources = Array.from(catalogSourceEntries.keys()).map((label) => {
+        const v = catalogSourceEntries.get(label);
+        const entries = v.entries.filter((t) => t.tle1).map((t) => ({ name: t.name, tle1: t.tle1, tle2: t.tle2, norad: tleNorad(t) }));
+        return { label: label, kind: v.kind, entries: entries };
+    });
+    renderCatalogAge();
+    return writeTleCache({ source: catalogInfo.source, loadedAt: catalogInfo.loadedAt, sources: sources });
+}
+
+// Whether a cache record holds any objects (per-source lists, or the merged `entries` of older records)
+function tleCacheHasEntries(cached) {
+    if (!cached) return false;
+    if (Array.isArray(cached.sources) && cached.sources.some((x) => x.entries && x.entries.length)) return true;
+    return !!(cached.entries && cached.entries.length);
+}
+
+// "42 min", "5 h", "12 d"
+function formatAge(ms) {
+    const min = Math.max(0, ms) / 60000;
+    if (min < 1) return '< 1 min';
+    if (min < 60) return Math.floor(min) + ' min';
+    if (min < 48 * 60) return Math.floor(min / 60) + ' h';
+    return Math.floor(min / 1440) + ' d';
+}
+
+// Index of the entry with the oldest TLE epoch (-1 when there is none)
+function oldestEpochIndex() {
+    let best = -1;
+    if (!satEpochMs) return best;
+    for (let i = 0; i < satEpochMs.length; i++) {
+        if (isFinite(satEpochMs[i]) && (best < 0 || satEpochMs[i] < satEpochMs[best])) best = i;
+    }
+    return best;
+}
+
+// [label, value] rows describing where the catalog came from and how old it is
+function catalogAgeRows() {
+    const now = Date.now();
+    const rows = [];
+    if (catalogInfo.loadedAt) {
+        rows.push(['Catalog', catalogInfo.source + (catalogInfo.fromCache ? ' (cached)' : '')]);
+        rows.push(['Loaded', formatAge(now - catalogInfo.loadedAt) + ' ago']);
+    }
+    const oldest = oldestEpochIndex();
+    if (oldest >= 0) {
+        rows.push(['Oldest epoch', new Date(satEpochMs[oldest]).toISOString().slice(0, 10) + ' (' + formatAge(now - satEpochMs[oldest]) + ', ' + (tleData[oldest].name || tleNorad(tleData[oldest])) + ')']);
+    }
+    return rows;
+}
+
+function renderCatalogAge() {
+    const el = document.getElementById('val-catalog-age');
+    if (!el) return;
+    const now = Date.now();
+    const parts = [];
+    if (catalogInfo.loadedAt) parts.push((catalogInfo.fromCache ? 'cached, ' : '') + formatAge(now - catalogInfo.loadedAt) + ' old');
+    const oldest = oldestEpochIndex();
+    if (oldest >= 0) parts.push('oldest epoch ' + formatAge(now - satEpochMs[oldest]));
+    el.textContent = parts.length ? 'Catalog: ' + parts.join(' · ') : 'Catalog: loading…';
+    el.title = catalogAgeRows().map(([k, v]) => k + ': ' + v).join('\n');
+}
+
+// Hover: show the satellite name next to the cursor (processed at most once per frame)
+let satHoverEvent = null;
+function onSatPointerMove(ev) {
+    if (!satHoverEvent) requestAnimationFrame(processSatHover);
+    satHoverEvent = ev;
+}
+
+function processSatHover() {
+    const ev = satHoverEvent;
+    satHoverEvent = null;
+    if (!ev || ev.buttons) return; // ignore while dragging the camera
+    const tip = document.getElementById('sat-hover');
+    satHoverIndex = pickSatellite(ev.clientX, ev.clientY);
+    renderer.domElement.style.cursor = satHoverIndex >= 0 ? 'pointer' : '';
+    if (!tip) return;
+    if (satHoverIndex < 0) { tip.style.display = 'none'; return; }
+    tip.textContent = tleData[satHoverIndex].name || ('#' + tleNorad(tleData[satHoverIndex]));
+    tip.style.left = (ev.clientX + 12) + 'px';
+    tip.style.top = (ev.clientY + 12) + 'px';
+    tip.style.display = 'block';
+}
+
+// --- Labels ---
+// Screen-space name labels in #sat-labels for the selected satellite, the nearest shown satellites (so an active
+// search or filter chip labels its matches), ground sites and constellation names. Candidates are re-ranked every LABEL_REFRESH_MS;
+// every frame they are projected, hidden when the globe is in front of them, faded with camera distance and
+// placed greedily in priority order at the first of four corners that does not overlap an earlier label.
+const LABEL_REFRESH_MS = 250;
+const LABEL_FADE_NEAR = 2.5; // camera distance (scene units) up to which labels are fully opaque
+const LABEL_FADE_FAR = 9.0; // ... and beyond which they are hidden
+const LABEL_OFFSET_PX = 6;
+const LABEL_CHAR_PX = 6.2; // width estimate per character at the label font size (avoids DOM measuring)
+const LABEL_HEIGHT_PX = 16;
+let labelMode = 'nearest'; // 'off' | 'selected' (selection and sites only) | 'nearest'
+let labelCount = 20;
+let labelCandidates = []; // [{ key, text, kind: 'sat' | 'site', index?, priority }]
+let labelRefreshedAt = 0;
+let labelPool = new Map(); // key -> div
+
+// Ground sites to label; later features add theirs here
+function labelSites() {
+    const sites = [];
+    if (observer) sites.push({ key: 'site:observer', text: observer.name || 'Observer', lat: observer.lat, lon: observer.lon, alt: observer.alt });
+    // keyed by index: station names need not be unique
+    if (stationsShown) groundStations.forEach((s, k) => sites.push({ key: 'site:station:' + k, text: s.name, lat: s.lat, lon: s.lon, alt: s.alt }));
+    return sites;
+}
+
+// Re-rank the label candidates: selection first, then sites, then the nearest shown satellites
+function refreshLabelCandidates() {
+    labelRefreshedAt = performance.now();
+    labelCandidates = [];
+    if (labelMode === 'off') return;
+    const selected = getSelectedSatIndex();
+    if (selected >= 0) labelCandidates.push({ key: 'sat:' + tleNorad(tleData[selected]), text: tleData[selected].name || tleNorad(tleData[selected]), kind: 'sat', index: selected, priority: 0 });
+    labelSites().forEach((s) => labelCandidates.push(Object.assign({ kind: 'site', priority: 1 }, s)));
+    if (labelMode === 'nearest' && camera && tlePoints && tlePoints.visible && satellitesGroup.visible) labelNearestSatellites(selected);
+    // constellation names go last so satellites and sites win the space
+    labelSky().forEach((s) => labelCandidates.push(Object.assign({ kind: 'sky', priority: 3 }, s)));
+}
+
+// Append the labelCount shown satellites nearest the camera
+function labelNearestSatellites(selected) {
+    const km = new THREE.Vector3();
+    const pos = new THREE.Vector3();
+    const near = []; // [distance², index], kept sorted and at most labelCount long
+    for (let i = 0; i < tleData.length; i++) {
+        if (i === selected || !satPickable(i)) continue;
+        getSatKm(i, km);
+        if (km.lengthSq() === 0) continue;
+        const d2 = satKmToScene(km.x, km.y, km.z, pos).distanceToSquared(camera.position);
+        if (near.length >= labelCount && d2 >= near[near.length - 1][0]) continue;
+        let k = near.length;
+        while (k > 0 && near[k - 1][0] > d2) k--;
+        near.splice(k, 0, [d2, i]);
+        if (near.length > labelCount) near.pop();
+    }
+    near.forEach(([, i]) => labelCandidates.push({ key: 'sat:' + tleNorad(tleData[i]), text: tleData[i].name || tleNorad(tleData[i]), kind: 'sat', index: i, priority: 2 }));
+}
+
+// True when the unit globe lies between the camera and scene point p
+function occludedByGlobe(p) {
+    const o = camera.position;
+    const d = new THREE.Vector3().subVectors(p, o);
+    const len = d.length();
+    d.divideScalar(len);
+    const b = o.dot(d);
+    const c = o.lengthSq() - 1.0;
+    const disc = b * b - c;
+    if (disc <= 0) return false;
+    const tHit = -b - Math.sqrt(disc);
+    return tHit > 0 && tHit < len - 1e-3;
+}
+
+function updateLabels() {
+    const layer = document.getElementById('sat-labels');
+    if (!layer || !camera || !renderer) return;
+    if (performance.now() - labelRefreshedAt > LABEL_REFRESH_MS) refreshLabelCandidates();
+    // project with this frame's camera and globe rotation, not last frame's
+    camera.updateMatrixWorld();
+    if (earthGroup) earthGroup.updateMatrixWorld();
+    const width = renderer.domElement.clientWidth;
+    const height = renderer.domElement.clientHeight;
+    const placed = []; // screen rects of labels drawn this frame
+    const used = new Set();
+    const km = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    labelCandidates.forEach((c) => {
+        if (c.kind === 'sat') {
+            getSatKm(c.index, km);
+            if (km.lengthSq() === 0) return;
+            satKmToScene(km.x, km.y, km.z, p);
+        } else if (c.kind === 'sky') {
+            p.copy(c.pos);
+        } else {
+            if (!earthGroup) return;
+            earthGroup.localToWorld(p.copy(latLonToLocal(c.lat, c.lon, 1.0 + (c.alt || 0) / EARTH_RADIUS_KM)));
+        }
+        const dist = p.distanceTo(camera.position);
+        const fade = (c.priority === 0 || c.kind === 'sky') ? 1 : 1 - Math.min(1, Math.max(0, (dist - LABEL_FADE_NEAR) / (LABEL_FADE_FAR - LABEL_FADE_NEAR)));
+        if (fade <= 0.02 || occludedByGlobe(p)) return;
+        const ndc = p.clone().project(camera);
+        if (ndc.z > 1 || Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return;
+        const sx = (ndc.x + 1) * 0.5 * width;
+        const sy = (1 - ndc.y) * 0.5 * height;
+        const w = c.text.length * LABEL_CHAR_PX + 8;
+        const h = LABEL_HEIGHT_PX;
+        // NE, NW, SE, SW of the point
+        const corners = [[LABEL_OFFSET_PX, -LABEL_OFFSET_PX - h], [-LABEL_OFFSET_PX - w, -LABEL_OFFSET_PX - h], [LABEL_OFFSET_PX, LABEL_OFFSET_PX], [-LABEL_OFFSET_PX - w, LABEL_OFFSET_PX]];
+        const spot = corners.map(([dx, dy]) => ({ x: sx + dx, y: sy + dy, w: w, h: h }))
+            .find((r) => !placed.some((q) => r.x < q.x + q.w && q.x < r.x + r.w && r.y < q.y + q.h && q.y < r.y + r.h));
+        if (!spot) return;
+        placed.push(spot);
+        let div = labelPool.get(c.key);
+        if (!div) {
+            div = document.createElement('div');
+            layer.appendChild(div);
+            labelPool.set(c.key, div);
+        }
+        div.className = 'sat-label' + (c.kind === 'site' || c.kind === 'sky' ? ' ' + c.kind : '') + (c.priority === 0 ? ' selected' : '');
+        if (div.textContent !== c.text) div.textContent = c.text;
+        div.style.transform = 'translate(' + Math.round(spot.x) + 'px,' + Math.round(spot.y) + 'px)';
+        div.style.opacity = fade.toFixed(2);
+        div.style.display = '';
+        used.add(c.key);
+    });
+    labelPool.forEach((div, key) => {
+        if (used.has(key)) return;
+        // candidates that found no room are hidden; divs of dropped candidates are removed
+        if (labelCandidates.some((c) => c.key === key)) div.style.display = 'none';
+        else { div.remove(); labelPool.delete(key); }
+    });
+}
+
+function wireLabelUi() {
+    const mode = document.getElementById('sel-label-mode');
+    if (mode) {
+        mode.value = labelMode;
+        mode.addEventListener('change', () => { labelMode = mode.value; refreshLabelCandidates(); });
+    }
+    const count = document.getElementById('range-label-count');
+    const countVal = document.getElementById('val-label-count');
+    if (count) {
+        count.value = labelCount;
+        if (countVal) countVal.textContent = String(labelCount);
+        count.addEventListener('input', () => {
+            labelCount = Math.max(1, Math.round(Number(count.value)) || 1);
+            if (countVal) countVal.textContent = String(labelCount);
+            refreshLabelCandidates();
+        });
+    }
+}
+
+// --- Ground stations ---
+// Stations come from ground-stations.json or a JSON file loaded in the panel: name, lat/lon (deg), alt (m) and an
+// elevation mask minElevation (deg). Every STATION_LINK_REFRESH_MS the shown satellites above each station's mask are
+// found from the interpolated positions; the link lines follow them every frame. Contact windows reuse findPasses()
+// with the mask as the horizon.
+const STATIONS_URL = 'ground-stations.json';
+const STATION_DEFAULT_MASK_DEG = 5;
+const STATION_LINK_REFRESH_MS = 500;
+const STATION_LINK_MAX = 4000; // line segments allocated for links
+const STATION_CONTACT_HOURS = 24;
+let groundStations = []; // [{ name, lat, lon, alt (km), mask (deg) }]
+let stationsSource = '';
+let stationsShown = false;
+let stationMarkers = null; // earthGroup (Earth-fixed) frame
+let stationLinkLines = null; // scene (inertial) frame
+let stationLinks = []; // flat [station index, catalog index, ...] pairs above the mask
+let stationLinksRefreshedAt = 0;
+let stationContactRunId = 0;
+let stationContacts = [];
+
+// Stations of a parsed JSON document ({ stations: [...] } or a bare array); entries without a valid lat/lon are skipped
+function parseGroundStations(doc) {
+    const list = Array.isArray(doc) ? doc : (doc && Array.isArray(doc.stations) ? doc.stations : null);
+    if (!list) throw new Error('expected an array of stations or { "stations": [...] }');
+    const out = [];
+    list.forEach((s, k) => {
+        const lat = Number(s && s.lat);
+        const lon = Number(s && s.lon);
+        if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90) {
+            console.warn('skipping ground station', k, s);
+            return;
+        }
+        const mask = (s.minElevation === undefined || s.minElevation === null) ? STATION_DEFAULT_MASK_DEG : Number(s.minElevation);
+        out.push({
+            name: String(s.name || ('Station ' + (k + 1))),
+            lat: lat,
+            lon: Math.abs(lon) <= 180 ? lon : ((lon + 540) % 360) - 180,
+            alt: (Number(s.alt) || 0) / 1000,
+            mask: isFinite(mask) ? Math.max(0, Math.min(90, mask)) : STATION_DEFAULT_MASK_DEG
+        });
+    });
+    return out;
+}
+
+function setGroundStations(list, source) {
+    groundStations = list;
+    stationsSource = source || '';
+    stationContactRunId++;
+    stationContacts = [];
+    renderContactTable();
+    setContactStatus('');
+    updateStationMarkers();
+    refreshStationLinks();
+    refreshLabelCandidates();
+}
+
+async function loadGroundStations() {
+    try {
+        setGroundStations(parseGroundStations(await fetchJson(STATIONS_URL)), STATIONS_URL);
+    } catch (e) {
+        console.warn('ground stations not loaded:', e);
+        renderStationStatus();
+    }
+}
+
+async function importGroundStationFile(file) {
+    try {
+        const list = parseGroundStations(JSON.parse(await file.text()));
+        if (list.length === 0) throw new Error('no valid stations');
+        setGroundStations(list, file.name);
+    } catch (e) {
+        console.warn('ground station file rejected:', e);
+        setContactStatus(file.name + ': ' + e.message);
+    }
+}
+
+function createStationLayer() {
+    const markerGeom = new THREE.BufferGeometry();
+    markerGeom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+    stationMarkers = new THREE.Points(markerGeom, new THREE.PointsMaterial({ color: 0x4dd0e1, size: 7, sizeAttenuation: false }));
+    stationMarkers.frustumCulled = false;
+    stationMarkers.visible = false;
+    if (earthGroup) earthGroup.add(stationMarkers);
+    const linkGeom = new THREE.BufferGeometry();
+    linkGeom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(STATION_LINK_MAX * 6), 3));
+    linkGeom.setDrawRange(0, 0);
+    stationLinkLines = new THREE.LineSegments(linkGeom, new THREE.LineBasicMaterial({ color: 0x4dd0e1, transparent: true, opacity: 0.45 }));
+    stationLinkLines.frustumCulled = false;
+    stationLinkLines.visible = false;
+    if (satellitesGroup) satellitesGroup.add(stationLinkLines);
+    loadGroundStations();
+}
+
+function updateStationMarkers() {
+    if (!stationMarkers) return;
+    const arr = new Float32Array(Math.max(1, groundStations.length) * 3);
+    const v = new THREE.Vector3();
+    groundStations.forEach((s, k) => {
+        latLonToLocal(s.lat, s.lon, 1.002, v);
+        arr[k * 3 + 0] = v.x;
+        arr[k * 3 + 1] = v.y;
+        arr[k * 3 + 2] = v.z;
+    });
+    stationMarkers.geometry.setAttribute('position', new THREE.BufferAttribute(arr, 3));
+    stationMarkers.geometry.setDrawRange(0, groundStations.length);
+    stationMarkers.visible = stationsShown && groundStations.length > 0;
+}
+
+function setStationsShown(on) {
+    stationsShown = !!on;
+    if (stationMarkers) stationMarkers.visible = stationsShown && groundStations.length > 0;
+    refreshStationLinks();
+    refreshLabelCandidates();
+}
+
+// Station position and geodetic zenith in ECI (km) for the Earth rotation angle gmst (rad)
+function stationEci(s, gmst) {
+    const ecf = satellite.geodeticToEcf(observerGeodetic(s));
+    const c = Math.cos(gmst);
+    const sn = Math.sin(gmst);
+    const la = deg2rad(s.lat);
+    const lo = deg2rad(s.lon) + gmst;
+    return {
+        x: ecf.x * c - ecf.y * sn, y: ecf.x * sn + ecf.y * c, z: ecf.z,
+        ux: Math.cos(la) * Math.cos(lo), uy: Math.cos(la) * Math.sin(lo), uz: Math.sin(la)
+    };
+}
+
+// Re-find the (station, satellite) pairs in view: shown satellites whose elevation is at or above the station's mask
+function refreshStationLinks() {
+    stationLinksRefreshedAt = performance.now();
+    stationLinks = [];
+    if (stationsShown && groundStations.length > 0 && tlePoints && tlePoints.visible && satellitesGroup.visible) {
+        const gmst = satellite.gstime(simTime);
+        const sites = groundStations.map((s) => Object.assign(stationEci(s, gmst), { sinMask: Math.sin(deg2rad(s.mask)) }));
+        const km = new THREE.Vector3();
+        for (let i = 0; i < tleData.length && stationLinks.length < STATION_LINK_MAX * 2; i++) {
+            if (!satPickable(i)) continue;
+            getSatKm(i, km);
+            if (km.lengthSq() === 0) continue;
+            sites.forEach((s, k) => {
+                const dx = km.x - s.x;
+                const dy = km.y - s.y;
+                const dz = km.z - s.z;
+                // sin(elevation) = (d · zenith) / |d|
+                if (dx * s.ux + dy * s.uy + dz * s.uz >= s.sinMask * Math.sqrt(dx * dx + dy * dy + dz * dz)) stationLinks.push(k, i);
+            });
+        }
+    }
+    renderStationStatus();
+}
+
+function updateStationLinks() {
+    if (!stationLinkLines) return;
+    if (performance.now() - stationLinksRefreshedAt > STATION_LINK_REFRESH_MS) refreshStationLinks();
+    const n = Math.min(stationLinks.length / 2, STATION_LINK_MAX);
+    stationLinkLines.visible = n > 0;
+    if (n === 0 || !earthGroup) return;
+    earthGroup.updateMatrixWorld();
+    const ends = groundStations.map((s) => earthGroup.localToWorld(latLonToLocal(s.lat, s.lon, 1.0 + s.alt / EARTH_RADIUS_KM)));
+    const attr = stationLinkLines.geometry.getAttribute('position');
+    const arr = attr.array;
+    const km = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    for (let j = 0; j < n; j++) {
+        const a = ends[stationLinks[j * 2]];
+        getSatKm(stationLinks[j * 2 + 1], km);
+        satKmToScene(km.x, km.y, km.z, p);
+        arr[j * 6 + 0] = a.x;
+        arr[j * 6 + 1] = a.y;
+        arr[j * 6 + 2] = a.z;
+        arr[j * 6 + 3] = p.x;
+        arr[j * 6 + 4] = p.y;
+        arr[j * 6 + 5] = p.z;
+    }
+    attr.needsUpdate = true;
+    stationLinkLines.geometry.setDrawRange(0, n * 2);
+}
+
+function renderStationStatus() {
+    const el = document.getElementById('station-status');
+    if (!el) return;
+    let text = groundStations.length === 0 ? 'No ground stations loaded.'
+        : groundStations.length + ' station' + (groundStations.length === 1 ? '' : 's') + ' from ' + stationsSource;
+    if (stationsShown && groundStations.length > 0) {
+        const n = Math.min(stationLinks.length / 2, STATION_LINK_MAX);
+        text += ' · ' + n + ' live link' + (n === 1 ? '' : 's') + (n >= STATION_LINK_MAX ? ' (capped)' : '');
+    }
+    if (el.textContent !== text) el.textContent = text;
+}
+
+function setContactStatus(text) {
+    const el = document.getElementById('contact-status');
+    if (el) el.textContent = text;
+}
+
+// Contact windows of the target objects over every station for the next STATION_CONTACT_HOURS, AOS/LOS at each mask
+async function runContactWindows() {
+    if (groundStations.length === 0) {
+        setContactStatus('No ground stations loaded.');
+        return;
+    }
+    const targetSel = document.getElementById('sel-contact-target');
+    const target = targetSel ? targetSel.value : 'selected';
+    let indices = passTargetIndices(target);
+    if (indices.length === 0) {
+        setContactStatus(target === 'selected' ? 'Select a satellite first.' : 'No objects shown.');
+        return;
+    }
+    // the pass budget is shared between stations
+    const cap = Math.max(1, Math.floor(PASS_MAX_OBJECTS / groundStations.length));
+    let note = '';
+    if (indices.length > cap) {
+        note = ' (first ' + cap + ' of ' + indices.length + ' objects)';
+        indices = indices.slice(0, cap);
+    }
+    const runId = ++stationContactRunId;
+    const start = simTime.getTime();
+    const end = start + STATION_CONTACT_HOURS * 3600000;
+    const total = groundStations.length * indices.length;
+    const all = [];
+    let lastYield = performance.now();
+    setContactStatus('Computing…');
+    for (let k = 0; k < groundStations.length; k++) {
+        const st = groundStations[k];
+        const obsGd = observerGeodetic(st);
+        for (let j = 0; j < indices.length; j++) {
+            const t = tleData[indices[j]];
+            const satrec = getSatrec(t);
+            if (satrec) {
+                findPasses(satrec, start, end, obsGd, st.mask, st.mask).forEach((p) => {
+                    p.station = st.name;
+                    p.index = indices[j];
+                    p.name = t.name || ('#' + tleNorad(t));
+                    all.push(p);
+                });
+            }
+            if (performance.now() - lastYield > 25) {
+                setContactStatus('Computing… ' + (k * indices.length + j + 1) + '/' + total);
+                await new Promise((r) => setTimeout(r, 0));
+                lastYield = performance.now();
+                if (runId !== stationContactRunId) return;
+            }
+        }
+    }
+    all.sort((a, b) => a.aos - b.aos);
+    stationContacts = all;
+    renderContactTable();
+    setContactStatus(all.length + ' contact' + (all.length === 1 ? '' : 's') + ' in ' + STATION_CONTACT_HOURS + ' h over ' + groundStations.length + ' station' + (groundStations.length === 1 ? '' : 's') + note);
+}
+
+function renderContactTable() {
+    const body = document.getElementById('contact-body');
+    if (!body) return;
+    body.innerHTML = '';
+    const fmtTime = (ms) => new Date(ms).toISOString().slice(5, 19).replace('T', ' ');
+    stationContacts.forEach((p) => {
+        const tr = document.createElement('tr');
+        const cells = [
+            p.station,
+            p.name,
+            (p.inProgress ? '≤ ' : '') + fmtTime(p.aos),
+            (p.continues ? '≥ ' : '') + fmtTime(p.los),
+            ((p.los - p.aos) / 60000).toFixed(1) + ' min',
+            p.maxEl.toFixed(1) + '°'
+        ];
+        cells.forEach((c) => {
+            const td = document.createElement('td');
+            td.textContent = c;
+            tr.appendChild(td);
+        });
+        tr.title = 'Jump to AOS';
+        tr.addEventListener('click', () => {
+            selectSatellite(p.index);
+            simClock.jumpTo(new Date(p.aos));
+        });
+        body.appendChild(tr);
+    });
+}
+
+function toggleStationsPanel() {
+    const panel = document.getElementById('stations-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
+    if (panel.style.display === 'block') renderStationStatus();
+}
+
+function wireStationUi() {
+    const show = document.getElementById('chk-stations');
+    if (show) {
+        show.checked = stationsShown;
+        show.addEventListener('change', () => setStationsShown(show.checked));
+    }
+    const run = document.getElementById('btn-contacts-run');
+    if (run) run.addEventListener('click', runContactWindows);
+    const file = document.getElementById('inp-stations-file');
+    if (file) {
+        file.addEventListener('change', () => {
+            if (file.files && file.files[0]) importGroundStationFile(file.files[0]);
+            file.value = '';
+        });
+    }
+    const closeBtn = document.getElementById('stations-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleStationsPanel);
+}
+
+// --- Footprints and coverage ---
+// A footprint is the spherical cap of the globe a satellite sees: out to its horizon, or to where a nadir-pointing sensor
+// cone of the given half-angle meets the surface. Rings for the target objects follow them every frame. The coverage
+// map steps the same footprints over a window from simTime and paints an equirectangular grid: how often each cell is
+// revisited and its longest gap without coverage. Both use the spherical Earth of the globe mesh.
+const FOOTPRINT_SEGMENTS = 64;
+const FOOTPRINT_MAX = 300; // rings allocated
+const FOOTPRINT_REFRESH_MS = 500;
+const FOOTPRINT_RADIUS = 1.003;
+const COVERAGE_RES_DEG = 2; // grid cell size
+const COVERAGE_MAX_OBJECTS = 500;
+const COVERAGE_MAX_SAMPLES = 400000; // objects x time steps; the step is raised to stay under it
+const COVERAGE_RADIUS = 1.004;
+let footprintTarget = 'off'; // 'off' | 'selected' | 'visible'
+let footprintSensorDeg = 0; // sensor half-angle, 0 = horizon
+let footprintIndices = [];
+let footprintRefreshedAt = 0;
+let footprintLines = null; // scene (inertial) frame
+let coverageMesh = null; // earthGroup (Earth-fixed) frame
+let coverageCanvas = null;
+let coverageResult = null; // { visits, maxGap (s), windowSec, stepSec }
+let coverageRunId = 0;
+
+// Earth central angle (rad) from the sub-satellite point to the footprint edge at altitude altKm
+function footprintHalfAngle(altKm, sensorDeg) {
+    const rho = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + Math.max(0, altKm));
+    const horizon = Math.acos(rho);
+    if (!(sensorDeg > 0)) return horizon;
+    const eta = deg2rad(Math.min(sensorDeg, 90));
+    // a cone wider than the Earth's limb sees out to the horizon
+    if (Math.sin(eta) >= rho) return horizon;
+    const elev = Math.acos(Math.sin(eta) / rho);
+    return Math.PI / 2 - eta - elev;
+}
 
-    scene.add(satellitesGroup);
+function createFootprints() {
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(FOOTPRINT_MAX * FOOTPRINT_SEGMENTS * 6), 3));
+    geom.setDrawRange(0, 0);
+    footprintLines = new THREE.LineSegments(geom, new THREE.LineBasicMaterial({ color: 0xb388ff, transparent: true, opacity: 0.7 }));
+    footprintLines.frustumCulled = false;
+    footprintLines.visible = false;
+    if (satellitesGroup) satellitesGroup.add(footprintLines);
+}
 
-    // create ISS placeholder/model
-    createISSModel();
+function refreshFootprintTargets() {
+    footprintRefreshedAt = performance.now();
+    footprintIndices = footprintTarget === 'off' ? [] : passTargetIndices(footprintTarget).slice(0, FOOTPRINT_MAX);
+}
 
-    // Fetch TLEs from CelesTrak (active satellites)
-    fetchTLES();
+function updateFootprints() {
+    if (!footprintLines) return;
+    if (performance.now() - footprintRefreshedAt > FOOTPRINT_REFRESH_MS) refreshFootprintTargets();
+    const show = footprintIndices.length > 0 && tlePoints && tlePoints.visible && satellitesGroup.visible;
+    footprintLines.visible = !!show;
+    if (!show) return;
+    const attr = footprintLines.geometry.getAttribute('position');
+    const arr = attr.array;
+    const km = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+    const pole = new THREE.Vector3(0, 1, 0);
+    const ring = [];
+    let o = 0;
+    footprintIndices.forEach((i) => {
+        getSatKm(i, km);
+        const r = km.length();
+        if (r === 0) return;
+        const lam = footprintHalfAngle(r - EARTH_RADIUS_KM, footprintSensorDeg);
+        // sub-satellite direction in the scene frame and two unit vectors across it
+        c.set(km.x, km.z, -km.y).divideScalar(r);
+        e1.crossVectors(c, Math.abs(c.y) > 0.99 ? e2.set(1, 0, 0) : pole).normalize();
+        e2.crossVectors(c, e1);
+        const cosL = Math.cos(lam) * FOOTPRINT_RADIUS;
+        const sinL = Math.sin(lam) * FOOTPRINT_RADIUS;
+        for (let k = 0; k <= FOOTPRINT_SEGMENTS; k++) {
+            const th = k * 2 * Math.PI / FOOTPRINT_SEGMENTS;
+            const a = Math.cos(th) * sinL;
+            const b = Math.sin(th) * sinL;
+            ring[k * 3 + 0] = c.x * cosL + e1.x * a + e2.x * b;
+            ring[k * 3 + 1] = c.y * cosL + e1.y * a + e2.y * b;
+            ring[k * 3 + 2] = c.z * cosL + e1.z * a + e2.z * b;
+        }
+        for (let k = 0; k < FOOTPRINT_SEGMENTS; k++) {
+            for (let m = 0; m < 6; m++) arr[o++] = ring[k * 3 + m];
+        }
+    });
+    attr.needsUpdate = true;
+    footprintLines.geometry.setDrawRange(0, o / 3);
+}
 
-    // Create many synthetic satellites for visual density
-    const synthGeom = new THREE.BufferGeometry();
-    const synthPositions = new Float32Array(SYNTHETIC_SAT_COUNT * 3);
-    synthGeom.setAttribute('position', new THREE.BufferAttribute(synthPositions, 3));
-    syntheticPoints = new THREE.Points(synthGeom, new THREE.PointsMaterial({ color: 0x66ccff, size: 2, sizeAttenuation: false }));
-    syntheticPoints.frustumCulled = false;
-    satellitesGroup.add(syntheticPoints);
-    syntheticPositionsAttr = synthGeom.getAttribute('position');
-
-    // initialize synthetic orbital params
-    syntheticParams = [];
-    for (let i = 0; i < SYNTHETIC_SAT_COUNT; i++) {
-        syntheticParams.push({
-            altitude: 1.05 + Math.random() * 0.5,
-            speed: 0.002 + Math.random() * 0.01,
-            phase: Math.random() * Math.PI * 2,
-            inclination: Math.random() * Math.PI
-        });
+// Mark the grid cells inside a footprint centred on (latDeg, lonDeg) with Earth central angle lam (rad).
+// Calls mark(cellIndex) once per cell; rows are cut analytically so only covered cells are visited.
+function forEachCoveredCell(latDeg, lonDeg, lam, mark) {
+    const res = COVERAGE_RES_DEG;
+    const w = Math.round(360 / res);
+    const h = Math.round(180 / res);
+    const phi0 = deg2rad(latDeg);
+    const lamDeg = rad2deg(lam);
+    const rowFrom = Math.max(0, Math.floor((90 - latDeg - lamDeg) / res));
+    const rowTo = Math.min(h - 1, Math.floor((90 - latDeg + lamDeg) / res));
+    for (let row = rowFrom; row <= rowTo; row++) {
+        const phi = deg2rad(90 - (row + 0.5) * res);
+        const den = Math.cos(phi) * Math.cos(phi0);
+        const cosD = den > 1e-9 ? (Math.cos(lam) - Math.sin(phi) * Math.sin(phi0)) / den : -2;
+        if (cosD > 1) continue;
+        // longitude half-width of the cap on this row; the whole row when the cap contains the pole
+        const half = cosD <= -1 ? 180 : rad2deg(Math.acos(cosD));
+        let c0 = Math.ceil((lonDeg - half + 180) / res - 0.5);
+        let c1 = Math.floor((lonDeg + half + 180) / res - 0.5);
+        if (half >= 180 || c1 - c0 + 1 >= w) { c0 = 0; c1 = w - 1; }
+        for (let col = c0; col <= c1; col++) mark(row * w + ((col % w) + w) % w);
     }
 }
 
-// Load a small ISS GLTF model (fallback to a simple box if loader unavailable)
-function createISSModel() {
-    issObject = new THREE.Group();
-    issObject.visible = false;
-    // create a simple placeholder first
-    const placeholder = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.02, 0.06), new THREE.MeshStandardMaterial({ color: 0xdddddd }));
-    placeholder.castShadow = true;
-    issObject.add(placeholder);
-    scene.add(issObject);
-
-    // attempt to load GLTF if GLTFLoader available
-    if (window.THREE && window.THREE.GLTFLoader) {
-        try {
-            const loader = new THREE.GLTFLoader();
-            // small lightweight ISS model URL (public placeholder)
-            const url = 'https://raw.githubusercontent.com/NASA/threejs-examples-assets/main/models/ISS/ISS.gltf';
-            loader.load(url, (g) => {
-                // scale and orient
-                const model = g.scene || g.scenes[0];
-                model.scale.set(0.02, 0.02, 0.02);
-                model.rotation.x = Math.PI / 2;
-                // remove placeholder and attach model
-                issObject.clear();
-                issObject.add(model);
-            }, undefined, (err) => {
-                // leave placeholder
-                console.warn('ISS model load failed', err);
-            });
-        } catch (e) {
-            // ignore
+// Steps the footprints of `indices` over [startMs, startMs + windowSec) and returns per-cell visit counts and the
+// longest uncovered gap (s, window edges included). Resolves to null if superseded by a newer run.
+async function computeCoverage(indices, startMs, windowSec, stepSec, sensorDeg, onProgress) {
+    const runId = ++coverageRunId;
+    const cells = Math.round(360 / COVERAGE_RES_DEG) * Math.round(180 / COVERAGE_RES_DEG);
+    const visits = new Uint16Array(cells);
+    const lastSeen = new Int32Array(cells).fill(-1);
+    const maxGap = new Int32Array(cells); // in steps
+    const steps = Math.max(1, Math.floor(windowSec / stepSec));
+    const satrecs = indices.map((i) => getSatrec(tleData[i])).filter((s) => s);
+    let lastYield = performance.now();
+    for (let k = 0; k < steps; k++) {
+        const date = new Date(startMs + k * stepSec * 1000);
+        const gmst = satellite.gstime(date);
+        const c = Math.cos(gmst);
+        const s = Math.sin(gmst);
+        const mark = (cell) => {
+            const last = lastSeen[cell];
+            if (last === k) return;
+            if (last < 0 || last < k - 1) {
+                visits[cell]++;
+                if (k - last - 1 > maxGap[cell]) maxGap[cell] = k - last - 1;
+            }
+            lastSeen[cell] = k;
+        };
+        satrecs.forEach((satrec) => {
+            let pv;
+            try { pv = satellite.propagate(satrec, date); } catch (e) { return; }
+            const p = pv && pv.position;
+            if (!p) return;
+            const r = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+            // ECI -> Earth-fixed sub-satellite point
+            const xe = p.x * c + p.y * s;
+            const ye = -p.x * s + p.y * c;
+            forEachCoveredCell(rad2deg(Math.asin(p.z / r)), rad2deg(Math.atan2(ye, xe)), footprintHalfAngle(r - EARTH_RADIUS_KM, sensorDeg), mark);
+        });
+        if (performance.now() - lastYield > 25) {
+            if (onProgress) onProgress(k + 1, steps);
+            await new Promise((res) => setTimeout(res, 0));
+            lastYield = performance.now();
+            if (runId !== coverageRunId) return null;
         }
     }
+    const gaps = new Float32Array(cells);
+    for (let i = 0; i < cells; i++) {
+        // the trailing gap up to the end of the window counts too
+        gaps[i] = Math.max(maxGap[i], steps - 1 - lastSeen[i]) * stepSec;
+        if (lastSeen[i] < 0) gaps[i] = steps * stepSec;
+    }
+    return { visits: visits, maxGap: gaps, windowSec: steps * stepSec, stepSec: stepSec };
 }
 
-// find TLE index for ISS by name
-function findIssTleIndex() {
-    if (!tleData || tleData.length === 0) return -1;
-    for (let i = 0; i < tleData.length; i++) {
-        const n = (tleData[i].name || '').toLowerCase();
-        if (n.includes('iss') || n.includes('international space station')) return i;
+// Area-weighted share of covered cells and the mean / worst revisit gap over them
+function coverageStats(result) {
+    const w = Math.round(360 / COVERAGE_RES_DEG);
+    let area = 0;
+    let coveredArea = 0;
+    let gapSum = 0;
+    let worst = 0;
+    for (let i = 0; i < result.visits.length; i++) {
+        const a = Math.cos(deg2rad(90 - (Math.floor(i / w) + 0.5) * COVERAGE_RES_DEG));
+        area += a;
+        if (result.visits[i] === 0) continue;
+        coveredArea += a;
+        gapSum += a * result.maxGap[i];
+        worst = Math.max(worst, result.maxGap[i]);
     }
-    return -1;
+    return { covered: area > 0 ? coveredArea / area : 0, meanGap: coveredArea > 0 ? gapSum / coveredArea : 0, worstGap: worst };
 }
 
-// Fetch TLE data from CelesTrak (active satellites) and parse into tleData
-async function fetchTLES() {
-    try {
-        // CelesTrak active satellites TLE file (text)
-        const url = 'https://celestrak.com/NORAD/elements/active.txt';
-        const res = await fetch(url);
-        const text = await res.text();
-        const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
-        tleData = [];
-        for (let i = 0; i < lines.length; i += 3) {
-            const name = lines[i];
-            const tle1 = lines[i + 1];
-            const tle2 = lines[i + 2];
-            if (!tle1 || !tle2) break;
-            tleData.push({ name, tle1, tle2 });
-        }
-
-    // allocate positions buffer
-        const count = tleData.length;
-    console.log('Loaded TLE count:', count);
-        const positions = new Float32Array(count * 3);
-        tleCount = count;
-        // allocate prev/next buffers
-        prevSatBuffer = new Float32Array(count * 3);
-        nextSatBuffer = new Float32Array(count * 3);
-        // initialize with small random positions so shader has valid data
-        for (let i = 0; i < count; i++) {
-            const a = (i / count) * Math.PI * 2;
-            const r = 1.1;
-            prevSatBuffer[i * 3 + 0] = r * Math.cos(a);
-            prevSatBuffer[i * 3 + 1] = r * Math.sin(a) * 0.1;
-            prevSatBuffer[i * 3 + 2] = r * Math.sin(a);
-            nextSatBuffer[i * 3 + 0] = prevSatBuffer[i * 3 + 0];
-            nextSatBuffer[i * 3 + 1] = prevSatBuffer[i * 3 + 1];
-            nextSatBuffer[i * 3 + 2] = prevSatBuffer[i * 3 + 2];
+// Sphere just above the globe with explicit lat/lon UVs, so grid cells map to the canvas without reprojection
+function createCoverageMesh() {
+    const latSeg = 90;
+    const lonSeg = 180;
+    const pos = [];
+    const uv = [];
+    const index = [];
+    const v = new THREE.Vector3();
+    for (let j = 0; j <= latSeg; j++) {
+        const lat = 90 - j * 180 / latSeg;
+        for (let i = 0; i <= lonSeg; i++) {
+            const lon = -180 + i * 360 / lonSeg;
+            latLonToLocal(lat, lon, COVERAGE_RADIUS, v);
+            pos.push(v.x, v.y, v.z);
+            uv.push(i / lonSeg, 1 - j / latSeg);
         }
-        const geom = new THREE.BufferGeometry();
-        geom.setAttribute('a_posPrev', new THREE.BufferAttribute(prevSatBuffer, 3));
-        geom.setAttribute('a_posNext', new THREE.BufferAttribute(nextSatBuffer, 3));
-        tlePoints.geometry.dispose();
-        tlePoints.geometry = geom;
-        // keep a conventional positions attr for fallback uses
-        tlePositionsAttr = geom.getAttribute('a_posNext');
-        // schedule first update
-        if (!sgp4Worker) setupSgp4Worker();
-        if (sgp4Worker) {
-            sgp4Worker.postMessage({ type: 'setTLE', tle: tleData });
-            sgp4Worker.postMessage({ type: 'update' });
-        } else updateTLEPositions();
-    } catch (e) {
-        console.warn('Failed to fetch TLEs', e);
-        // Fallback: create a few synthetic satellites so user sees something
-    console.log('Using synthetic satellite fallback');
-        tleData = [];
-        for (let i = 0; i < 12; i++) {
-            tleData.push({ name: 'SYNTH-' + i, tle1: '', tle2: '' });
+    }
+    for (let j = 0; j < latSeg; j++) {
+        for (let i = 0; i < lonSeg; i++) {
+            const a = j * (lonSeg + 1) + i;
+            const b = a + lonSeg + 1;
+            index.push(a, b, a + 1, b, b + 1, a + 1);
         }
-        const count = tleData.length;
-        const positions = new Float32Array(count * 3);
-        const geom = new THREE.BufferGeometry();
-        geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        tlePoints.geometry.dispose();
-        tlePoints.geometry = geom;
-        tlePositionsAttr = geom.getAttribute('position');
-        // populate synthetic positions
-        for (let i = 0; i < tleData.length; i++) {
-            const a = (i / tleData.length) * Math.PI * 2;
-            const r = 1.1;
-            tlePositionsAttr.array[i * 3 + 0] = r * Math.cos(a);
-            tlePositionsAttr.array[i * 3 + 1] = r * Math.sin(a) * 0.2;
-            tlePositionsAttr.array[i * 3 + 2] = r * Math.sin(a);
+    }
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+    geom.setAttribute('uv', new THREE.Float32BufferAttribute(uv, 2));
+    geom.setIndex(index);
+    coverageCanvas = document.createElement('canvas');
+    coverageCanvas.width = Math.round(360 / COVERAGE_RES_DEG);
+    coverageCanvas.height = Math.round(180 / COVERAGE_RES_DEG);
+    const tex = new THREE.CanvasTexture(coverageCanvas);
+    tex.magFilter = THREE.NearestFilter;
+    tex.minFilter = THREE.NearestFilter;
+    coverageMesh = new THREE.Mesh(geom, new THREE.MeshBasicMaterial({ map: tex, transparent: true, depthWrite: false, side: THREE.DoubleSide }));
+    coverageMesh.visible = false;
+    if (earthGroup) earthGroup.add(coverageMesh);
+}
+
+// metric 'gap': green (short longest gap) -> red (gap as long as the window); 'visits': light to deep blue by revisits.
+// Cells never covered are dark red either way.
+function paintCoverage(metric) {
+    if (!coverageResult) return;
+    if (!coverageMesh) createCoverageMesh();
+    const ctx = coverageCanvas.getContext('2d');
+    const img = ctx.createImageData(coverageCanvas.width, coverageCanvas.height);
+    const maxVisits = coverageResult.visits.reduce((m, x) => Math.max(m, x), 1);
+    for (let i = 0; i < coverageResult.visits.length; i++) {
+        let rgba;
+        if (coverageResult.visits[i] === 0) {
+            rgba = [110, 16, 40, 170];
+        } else if (metric === 'visits') {
+            const t = maxVisits > 1 ? (coverageResult.visits[i] - 1) / (maxVisits - 1) : 1;
+            rgba = [Math.round(150 - 130 * t), Math.round(210 - 130 * t), 255, 140];
+        } else {
+            const t = Math.min(1, coverageResult.maxGap[i] / coverageResult.windowSec);
+            rgba = t < 0.5 ? [Math.round(80 + 350 * t), 220, 90, 140] : [255, Math.round(220 - 300 * (t - 0.5)), 90, 140];
         }
-        tlePositionsAttr.needsUpdate = true;
-        lastTleUpdate = Date.now();
+        img.data.set(rgba, i * 4);
     }
+    ctx.putImageData(img, 0, 0);
+    coverageMesh.material.map.needsUpdate = true;
+    coverageMesh.visible = true;
 }
 
-// Update positions of tlePoints using satellite.js propagation
-function updateTLEPositions() {
-    if (!tleData || tleData.length === 0 || !tlePositionsAttr) return;
-    // use worker if available
-    if (sgp4Worker) {
-        sgp4Worker.postMessage({ type: 'update' });
+function clearCoverage() {
+    coverageRunId++;
+    coverageResult = null;
+    if (coverageMesh) coverageMesh.visible = false;
+    setCoverageStatus('');
+}
+
+function setCoverageStatus(text) {
+    const el = document.getElementById('coverage-status');
+    if (el) el.textContent = text;
+}
+
+function formatGap(sec) {
+    return sec >= 3600 ? (sec / 3600).toFixed(1) + ' h' : Math.round(sec / 60) + ' min';
+}
+
+async function runCoverage() {
+    const byId = (id) => document.getElementById(id);
+    const target = byId('sel-coverage-target') ? byId('sel-coverage-target').value : 'visible';
+    const hours = byId('sel-coverage-window') ? Number(byId('sel-coverage-window').value) || 24 : 24;
+    let stepSec = Math.max(10, Number(byId('inp-coverage-step') ? byId('inp-coverage-step').value : 60) || 60);
+    let indices = passTargetIndices(target);
+    if (indices.length === 0) {
+        setCoverageStatus(target === 'selected' ? 'Select a satellite first.' : 'No objects shown.');
         return;
     }
-    const now = new Date();
-    const gmst = satellite.gstime(now);
-    for (let i = 0; i < tleData.length; i++) {
-        try {
-            const t = tleData[i];
-            const satrec = satellite.twoline2satrec(t.tle1, t.tle2);
-            const p = satellite.propagate(satrec, now).position;
-            if (!p) continue;
-            const geo = satellite.eciToGeodetic(p, gmst);
-            const lon = (geo.longitude * 180) / Math.PI;
-            const lat = (geo.latitude * 180) / Math.PI;
-            const phi = (90 - lat) * (Math.PI / 180);
-            const theta = (lon + 180) * (Math.PI / 180);
-            const r = 1.1; // visualize at slightly above globe
-            const x = r * Math.sin(phi) * Math.cos(theta);
-            const y = r * Math.cos(phi);
-            const z = r * Math.sin(phi) * Math.sin(theta);
-            tlePositionsAttr.array[i * 3 + 0] = x;
-            tlePositionsAttr.array[i * 3 + 1] = y;
-            tlePositionsAttr.array[i * 3 + 2] = z;
-        } catch (e) {
-            // skip
-        }
+    let note = '';
+    if (indices.length > COVERAGE_MAX_OBJECTS) {
+        note += ' (first ' + COVERAGE_MAX_OBJECTS + ' of ' + indices.length + ' objects)';
+        indices = indices.slice(0, COVERAGE_MAX_OBJECTS);
     }
-    tlePositionsAttr.needsUpdate = true;
-    lastTleUpdate = Date.now();
-    // debug
-    // console.log('TLE positions updated at', new Date().toISOString());
+    const minStep = Math.ceil(indices.length * hours * 3600 / COVERAGE_MAX_SAMPLES);
+    if (stepSec < minStep) {
+        stepSec = minStep;
+        note += ' (step raised to ' + stepSec + ' s)';
+    }
+    setCoverageStatus('Computing…');
+    const result = await computeCoverage(indices, simTime.getTime(), hours * 3600, stepSec, footprintSensorDeg,
+        (done, total) => setCoverageStatus('Computing… ' + Math.round(100 * done / total) + '%'));
+    if (!result) return; // superseded or cleared
+    coverageResult = result;
+    const metric = byId('sel-coverage-metric') ? byId('sel-coverage-metric').value : 'gap';
+    paintCoverage(metric);
+    const st = coverageStats(result);
+    setCoverageStatus((100 * st.covered).toFixed(1) + '% covered in ' + hours + ' h by ' + indices.length + ' object' + (indices.length === 1 ? '' : 's')
+        + ' · longest gap: mean ' + formatGap(st.meanGap) + ', worst ' + formatGap(st.worstGap) + note);
 }
 
-// schedule periodic TLE updates using worker or local propagation
-function startTleUpdateLoop() {
-    if (tleUpdateTimer) clearInterval(tleUpdateTimer);
-    tleUpdateTimer = setInterval(() => {
-    if (sgp4Worker) sgp4Worker.postMessage({ type: 'update' });
-    else updateTLEPositionsFallback();
-    }, TLE_UPDATE_MS);
+function toggleCoveragePanel() {
+    const panel = document.getElementById('coverage-panel');
+    if (!panel) return;
+    panel.style.display = (panel.style.display === 'none') ? 'block' : 'none';
 }
 
-function stopTleUpdateLoop() {
-    if (tleUpdateTimer) { clearInterval(tleUpdateTimer); tleUpdateTimer = null; }
+function wireCoverageUi() {
+    const byId = (id) => document.getElementById(id);
+    const target = byId('sel-footprint-target');
+    if (target) {
+        target.value = footprintTarget;
+        target.addEventListener('change', () => { footprintTarget = target.value; refreshFootprintTargets(); });
+    }
+    const mode = byId('sel-footprint-mode');
+    const angle = byId('inp-footprint-angle');
+    const applySensor = () => {
+        const deg = Number(angle ? angle.value : 0);
+        footprintSensorDeg = (mode && mode.value === 'sensor' && deg > 0) ? Math.min(deg, 90) : 0;
+        if (angle) angle.disabled = !mode || mode.value !== 'sensor';
+    };
+    if (mode) mode.addEventListener('change', applySensor);
+    if (angle) angle.addEventListener('input', applySensor);
+    applySensor();
+    const run = byId('btn-coverage-run');
+    if (run) run.addEventListener('click', runCoverage);
+    const clear = byId('btn-coverage-clear');
+    if (clear) clear.addEventListener('click', clearCoverage);
+    const metric = byId('sel-coverage-metric');
+    if (metric) metric.addEventListener('change', () => paintCoverage(metric.value));
+    const closeBtn = byId('coverage-close');
+    if (closeBtn) closeBtn.addEventListener('click', toggleCoveragePanel);
 }
 
 // Simple Sun representation (mesh + directional light)
@@ -1150,7 +5300,7 @@ function init() {
     // Lighting
     setupLighting();
 
-    // Create starfield background
+    // Create star catalog background
     createStarfield();
 
     // Create Earth
@@ -1160,6 +5310,19 @@ function init() {
 
     // Wire UI toggles
     wireUiToggles();
+    wireSatSearch();
+    wireObserverUi();
+    wireConjunctionUi();
+    wireFollowUi();
+    wireHealthUi();
+    wireWalkerUi();
+    wireImportUi();
+    wireSourcesUi();
+    wireExportUi();
+    wireLabelUi();
+    wireStationUi();
+    wireCoverageUi();
+    setInterval(renderCatalogAge, CATALOG_AGE_REFRESH_MS);
 
     // restore controls collapsed state
     const controlsEl = document.getElementById('controls');
@@ -1189,6 +5352,9 @@ function init() {
 
     // Prepare optional feature groups
     createSatellites();
+    createObserverMarker();
+    createStationLayer();
+    createFootprints();
     createCurrents();
     createMoon();
     createSun();
@@ -1207,17 +5373,24 @@ function init() {
 
     // Event listeners
     window.addEventListener('resize', onWindowResize);
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
     renderer.domElement.addEventListener('click', onMouseClick);
+    renderer.domElement.addEventListener('pointermove', onSatPointerMove);
+    const infoClose = document.getElementById('sat-info-close');
+    if (infoClose) infoClose.addEventListener('click', () => selectSatellite(-1));
 
     // Hide loading message
     document.getElementById('loading').style.display = 'none';
 
-    // initialize simTime and UI datetime input
-    simTime = new Date();
-    const dtInput = document.getElementById('inp-datetime');
-    const realtime = document.getElementById('chk-realtime');
-    if (dtInput) dtInput.value = toLocalDatetimeInputValue(simTime);
-    if (realtime) realtime.checked = true;
+    // subscribe time-driven layers to the simulation clock, then start it at "now"
+    simClock.onChange(updateSunPosition);
+    simClock.onChange(updateMoonPosition);
+    simClock.onChange(updateTides);
+    simClock.onChange(onSatClockChange);
+    simClock.onChange(updateTimeUi);
+    wireTimeControls();
+    simClock.now();
+    createTimeline();
 
     // apply initial PBR and atmosphere slider state
     const pbrChk = document.getElementById('chk-pbr');
@@ -1277,8 +5450,10 @@ function setupLighting() {
 // Move the sun around the scene to create day/night on the globe
 function updateSunPosition() {
     if (!sunObject || !sunLight) return;
-    // compute sun direction from simTime (ECEF unit vector)
-    const sunDir = computeSunEcef(simTime || new Date());
+    // compute sun direction from simTime (ECEF unit vector) and bring it into the inertial scene frame
+    const now = simTime || new Date();
+    const sunEcef = computeSunEcef(now);
+    const sunDir = ecefToScene(sunEcef, now);
     sunObject.position.copy(sunDir.clone().multiplyScalar(sunDistance));
     sunLight.position.copy(sunObject.position);
     // adjust ambient based on sun elevation (simple proxy)
@@ -1291,12 +5466,47 @@ function updateSunPosition() {
     if (nightMaterial && nightMaterial.uniforms && nightMaterial.uniforms.u_sunDir) {
         nightMaterial.uniforms.u_sunDir.value.copy(sunDir);
     }
-    // update moon position and illumination
+    // satellite eclipse shading
+    if (tlePoints && tlePoints.material && tlePoints.material.uniforms && tlePoints.material.uniforms.u_sunDir) {
+        tlePoints.material.uniforms.u_sunDir.value.copy(sunDir);
+    }
+    // update sun sprite and directional light to match computed sunDir
+    try {
+        if (sunObject) {
+            // sunObject may be a Group or Mesh; position it at sunDir * sunDistance
+            const pos = sunDir.clone().multiplyScalar(sunDistance);
+            sunObject.position.copy(pos);
+        }
+        if (sunLight) {
+            sunLight.position.copy(sunDir.clone().multiplyScalar(sunDistance));
+            // ensure the directional light points toward Earth (origin)
+            if (sunLight.target) sunLight.target.position.set(0, 0, 0);
+            else {
+                try { sunLight.target = new THREE.Object3D(); sunLight.target.position.set(0,0,0); scene.add(sunLight.target); } catch (e) {}
+            }
+            // adjust intensity modestly based on sun elevation
+            const elev = sunDir.y;
+            sunLight.intensity = Math.max(0.6, 0.9 + elev * 0.8);
+        }
+    } catch (e) {}
+}
+
+// Scene distance (Earth radii) for a geocentric Moon distance in km: the real value when moonTrueDistance is on,
+// otherwise the visual moonDistance scaled by the true/mean ratio so perigee and apogee still show
+function moonSceneDistance(distanceKm) {
+    if (moonTrueDistance) return distanceKm / EARTH_RADIUS_KM;
+    return moonDistance * distanceKm / Astronomy.MOON_MEAN_DISTANCE_KM;
+}
+
+// Place the Moon at simTime and keep its phase shading in step with the Sun
+function updateMoonPosition() {
     try {
         if (moonObject) {
-            const moonDir = computeMoonEcef(simTime || new Date());
-            // visual distance (scaled) so moon is visible but not too far
-            moonObject.position.copy(moonDir.clone().multiplyScalar(moonDistance));
+            const now = simTime || new Date();
+            const moon = Astronomy.moonPosition(now);
+            const moonDir = ecefToScene(apparentEquatorialToEcef(moon.eci, now), now);
+            const sunDir = ecefToScene(computeSunEcef(now), now);
+            moonObject.position.copy(moonDir.multiplyScalar(moonSceneDistance(moon.distanceKm)));
 
             // update shader uniform with sun direction so phases are correct
             try {
@@ -1312,12 +5522,16 @@ function updateSunPosition() {
             } catch (e) {}
         }
     } catch (e) {}
+}
 
-    // update tidal overlay uniforms (moon primary, sun secondary)
+// Update tidal overlay uniforms (moon primary, sun secondary) for simTime
+function updateTides() {
     try {
         if (tideMaterial && tideMaterial.uniforms) {
-            const md = computeMoonEcef(simTime || new Date()).clone().normalize();
-            const sd = computeSunEcef(simTime || new Date()).clone().normalize();
+            const now = simTime || new Date();
+            // tide mesh lives in earthGroup, so use Earth-fixed (local) directions
+            const md = ecefToLocal(computeMoonEcef(now)).normalize();
+            const sd = ecefToLocal(computeSunEcef(now)).normalize();
             tideMaterial.uniforms.u_moonDir.value.copy(md);
             tideMaterial.uniforms.u_sunDir.value.copy(sd);
             // approximate lunar tidal forcing amplitude scaled inversely with visual moonDistance
@@ -1327,109 +5541,88 @@ function updateSunPosition() {
             tideMaterial.uniforms.u_amplitude.value = 0.012 * THREE.MathUtils.clamp(1.0 + (2.5 - moonDistance) * 0.3, 0.6, 2.0);
         }
     } catch (e) {}
-
-    // update sun sprite and directional light to match computed sunDir
-    try {
-        if (sunObject) {
-            // sunObject may be a Group or Mesh; position it at sunDir * sunDistance
-            const pos = sunDir.clone().multiplyScalar(sunDistance);
-            sunObject.position.copy(pos);
-        }
-        if (sunLight) {
-            sunLight.position.copy(sunDir.clone().multiplyScalar(sunDistance));
-            // ensure the directional light points toward Earth (origin)
-            if (sunLight.target) sunLight.target.position.set(0, 0, 0);
-            else {
-                try { sunLight.target = new THREE.Object3D(); sunLight.target.position.set(0,0,0); scene.add(sunLight.target); } catch (e) {}
-            }
-            // adjust intensity modestly based on sun elevation
-            const elev = sunDir.y;
-            sunLight.intensity = Math.max(0.6, 0.9 + elev * 0.8);
-        }
-    } catch (e) {}
 }
 
-function createStarfield() {
-    // Procedural starfield on a distant celestial sphere
-    const STAR_COUNT = 8000;
-    const radius = 800.0; // far away so parallax is minimal
-
-    const positions = new Float32Array(STAR_COUNT * 3);
-    const colors = new Float32Array(STAR_COUNT * 3);
-    const sizes = new Float32Array(STAR_COUNT);
-
-    // helper: color from temperature approximation (Kelvin -> rgb roughly)
-    function tempToRgb(t) {
-        // t: 1000..40000, clamp
-        t = Math.max(1000, Math.min(40000, t)) / 100.0;
-        let r, g, b;
-        if (t <= 66) {
-            r = 255;
-            g = 99.4708025861 * Math.log(t) - 161.1195681661;
-            b = (t <= 19) ? 0 : (138.5177312231 * Math.log(t - 10) - 305.0447927307);
-        } else {
-            r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
-            g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
-            b = 255;
-        }
-        return [Math.max(0, Math.min(255, r)) / 255, Math.max(0, Math.min(255, g)) / 255, Math.max(0, Math.min(255, b)) / 255];
+// --- Stars ---
+// Bright stars from bright-stars.json (J2000 RA/Dec, V magnitude and B-V colour index of a Yale Bright Star Catalogue
+// subset) on a distant sphere in the scene's inertial frame, so the globe turns under them with GMST. Positions are
+// precessed to the simulation date and redone when the clock moves more than STAR_PRECESS_REFRESH_MS.
+const STARS_URL = 'bright-stars.json';
+const STAR_SPHERE_RADIUS = 800.0; // far away so parallax is minimal
+const STAR_PRECESS_REFRESH_MS = 30 * 86400000;
+let starCatalog = null; // { stars: [{ name, bayer, ra, dec, vmag, bv }], constellations: [{ name, lines: [[a, b]] }] }
+let starPoints = null;
+let constellationLines = null;
+let constellationLinesShown = false;
+let constellationNamesShown = false;
+let starEpochMs = null; // simulation time the positions were precessed to
+
+// helper: color from temperature approximation (Kelvin -> rgb roughly)
+function tempToRgb(t) {
+    // t: 1000..40000, clamp
+    t = Math.max(1000, Math.min(40000, t)) / 100.0;
+    let r, g, b;
+    if (t <= 66) {
+        r = 255;
+        g = 99.4708025861 * Math.log(t) - 161.1195681661;
+        b = (t <= 19) ? 0 : (138.5177312231 * Math.log(t - 10) - 305.0447927307);
+    } else {
+        r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+        g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+        b = 255;
     }
+    return [Math.max(0, Math.min(255, r)) / 255, Math.max(0, Math.min(255, g)) / 255, Math.max(0, Math.min(255, b)) / 255];
+}
 
-    for (let i = 0; i < STAR_COUNT; i++) {
-        // sample uniform direction on sphere
-        const z = 2.0 * Math.random() - 1.0;
-        const phi = Math.random() * Math.PI * 2.0;
-        const r = Math.sqrt(Math.max(0, 1.0 - z * z));
-        const x = r * Math.cos(phi);
-        const y = r * Math.sin(phi);
-
-        positions[i * 3 + 0] = x * radius;
-        positions[i * 3 + 1] = y * radius;
-        positions[i * 3 + 2] = z * radius;
+// B-V colour index -> effective temperature (K), Ballesteros (2012)
+function bvToTemperature(bv) {
+    return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
 
-        // magnitude: faint stars more common, a few very bright ones
-        const mag = Math.pow(Math.random(), 1.6) * 6.5 - 1.5; // approx -1.5 .. 5.0
-        // map mag to size (brighter => larger)
-        const size = THREE.MathUtils.clamp(6.5 - (mag + 1.5) * 1.6, 0.6, 6.5);
-        sizes[i] = size;
+// J2000 mean RA/Dec (deg) -> mean equator and equinox of date (IAU 1976 precession, Meeus eq. 21.4)
+function precessJ2000(raDeg, decDeg, date) {
+    const T = (toJulianDate(date) - 2451545.0) / 36525.0;
+    const as = (x) => deg2rad(x / 3600);
+    const zeta = as((2306.2181 + (0.30188 + 0.017998 * T) * T) * T);
+    const z = as((2306.2181 + (1.09468 + 0.018203 * T) * T) * T);
+    const theta = as((2004.3109 - (0.42665 + 0.041833 * T) * T) * T);
+    const ra = deg2rad(raDeg);
+    const dec = deg2rad(decDeg);
+    const A = Math.cos(dec) * Math.sin(ra + zeta);
+    const B = Math.cos(theta) * Math.cos(dec) * Math.cos(ra + zeta) - Math.sin(theta) * Math.sin(dec);
+    const C = Math.sin(theta) * Math.cos(dec) * Math.cos(ra + zeta) + Math.cos(theta) * Math.sin(dec);
+    return { ra: rad2deg(Math.atan2(A, B) + z), dec: rad2deg(Math.asin(Math.max(-1, Math.min(1, C)))) };
+}
 
-        // approximate stellar temperature from magnitude/randomness for color
-        const temp = 3000 + Math.pow(Math.random(), 0.7) * 7000; // 3000K..10000K
-        const col = tempToRgb(temp);
-        // brighter stars slightly whiter
-        const brightness = THREE.MathUtils.clamp(1.2 - (mag / 6.0), 0.6, 1.4);
-        colors[i * 3 + 0] = col[0] * brightness;
-        colors[i * 3 + 1] = col[1] * brightness;
-        colors[i * 3 + 2] = col[2] * brightness;
-    }
+// RA/Dec (deg) -> point on the star sphere in scene coordinates (ECI (x, y, z) -> scene (x, z, -y))
+function raDecToScene(raDeg, decDeg, r, out) {
+    out = out || new THREE.Vector3();
+    const ra = deg2rad(raDeg);
+    const dec = deg2rad(decDeg);
+    return out.set(Math.cos(dec) * Math.cos(ra) * r, Math.sin(dec) * r, -Math.cos(dec) * Math.sin(ra) * r);
+}
 
+function createStarfield() {
     const geom = new THREE.BufferGeometry();
-    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geom.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
-    geom.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+    geom.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(3), 3));
+    geom.setAttribute('aSize', new THREE.BufferAttribute(new Float32Array(1), 1));
+    geom.setDrawRange(0, 0);
 
     starUniforms = {
-        u_time: { value: 0.0 },
-        u_pixelRatio: { value: window.devicePixelRatio || 1.0 },
-        u_twinkleSpeed: { value: starTwinkleSpeed },
-        u_densityScale: { value: starDensityScale }
+        u_pixelRatio: { value: window.devicePixelRatio || 1.0 }
     };
 
+    // stars are at infinity: fixed pixel size from the magnitude, no distance attenuation
     const vs = `
         attribute vec3 aColor;
         attribute float aSize;
         varying vec3 vColor;
-        uniform float u_time;
         uniform float u_pixelRatio;
         void main() {
             vColor = aColor;
-            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-            // twinkle factor (slow per-star phase using position.x)
-            float phase = fract((position.x + 1234.0) * 0.0001 + u_time * 0.05);
-            float tw = 0.8 + 0.4 * sin(phase * 6.28318);
-            float size = aSize * tw * (200.0 / -mvPosition.z) * u_pixelRatio;
-            gl_PointSize = clamp(size, 0.5, 96.0);
-            gl_Position = projectionMatrix * mvPosition;
+            gl_PointSize = clamp(aSize * u_pixelRatio, 1.0, 48.0);
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
         }
     `;
 
@@ -1456,9 +5649,102 @@ function createStarfield() {
         blending: THREE.AdditiveBlending
     });
 
-    const points = new THREE.Points(geom, mat);
-    points.frustumCulled = false;
-    scene.add(points);
+    starPoints = new THREE.Points(geom, mat);
+    starPoints.frustumCulled = false;
+    scene.add(starPoints);
+
+    const lineGeom = new THREE.BufferGeometry();
+    lineGeom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    lineGeom.setDrawRange(0, 0);
+    constellationLines = new THREE.LineSegments(lineGeom, new THREE.LineBasicMaterial({ color: 0x5b7db8, transparent: true, opacity: 0.35, depthWrite: false }));
+    constellationLines.frustumCulled = false;
+    constellationLines.visible = constellationLinesShown;
+    scene.add(constellationLines);
+
+    loadStarCatalog();
+}
+
+async function loadStarCatalog() {
+    try {
+        const doc = await fetchJson(STARS_URL);
+        const stars = (doc.stars || []).map((s) => ({ name: s[0], bayer: s[1], ra: Number(s[2]), dec: Number(s[3]), vmag: Number(s[4]), bv: Number(s[5]) }))
+            .filter((s) => isFinite(s.ra) && isFinite(s.dec) && isFinite(s.vmag));
+        starCatalog = { stars: stars, constellations: Array.isArray(doc.constellations) ? doc.constellations : [] };
+        buildStarGeometry();
+        refreshLabelCandidates();
+    } catch (e) {
+        console.warn('star catalog not loaded:', e);
+    }
+}
+
+// (Re)build star points and constellation lines for the current simulation date
+function buildStarGeometry() {
+    if (!starCatalog || !starPoints) return;
+    starEpochMs = simTime.getTime();
+    const stars = starCatalog.stars;
+    const positions = new Float32Array(stars.length * 3);
+    const colors = new Float32Array(stars.length * 3);
+    const sizes = new Float32Array(stars.length);
+    const byName = new Map();
+    const v = new THREE.Vector3();
+    stars.forEach((s, i) => {
+        const p = precessJ2000(s.ra, s.dec, simTime);
+        s.scene = raDecToScene(p.ra, p.dec, STAR_SPHERE_RADIUS, new THREE.Vector3());
+        byName.set(s.name, s);
+        positions.set([s.scene.x, s.scene.y, s.scene.z], i * 3);
+        // brighter => larger and whiter
+        sizes[i] = THREE.MathUtils.clamp(5.5 - (s.vmag + 1.5) * 0.7, 1.5, 6.0);
+        const col = tempToRgb(bvToTemperature(isFinite(s.bv) ? s.bv : 0.6));
+        const brightness = THREE.MathUtils.clamp(1.25 - s.vmag * 0.15, 0.45, 1.4);
+        colors.set([col[0] * brightness, col[1] * brightness, col[2] * brightness], i * 3);
+    });
+    const geom = starPoints.geometry;
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+    geom.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    geom.setDrawRange(0, stars.length);
+
+    // constellation figures: segments between named stars; the name sits at the mean direction of its stars
+    const segs = [];
+    starCatalog.constellations.forEach((c) => {
+        const members = new Set();
+        (c.lines || []).forEach(([a, b]) => {
+            const sa = byName.get(a);
+            const sb = byName.get(b);
+            if (!sa || !sb) return;
+            segs.push(sa.scene.x, sa.scene.y, sa.scene.z, sb.scene.x, sb.scene.y, sb.scene.z);
+            members.add(sa);
+            members.add(sb);
+        });
+        v.set(0, 0, 0);
+        members.forEach((s) => v.add(s.scene));
+        c.scene = members.size > 0 ? v.clone().setLength(STAR_SPHERE_RADIUS) : null;
+    });
+    if (constellationLines) {
+        constellationLines.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(segs.length ? segs : [0, 0, 0, 0, 0, 0]), 3));
+        constellationLines.geometry.setDrawRange(0, segs.length / 3);
+    }
+}
+
+function updateStars() {
+    if (starUniforms) starUniforms.u_pixelRatio.value = window.devicePixelRatio || 1.0;
+    if (starCatalog && starEpochMs !== null && Math.abs(simTime.getTime() - starEpochMs) > STAR_PRECESS_REFRESH_MS) buildStarGeometry();
+}
+
+// Constellation names for the label layer (kind 'sky')
+function labelSky() {
+    if (!constellationNamesShown || !starCatalog) return [];
+    return starCatalog.constellations.filter((c) => c.scene).map((c) => ({ key: 'sky:' + c.name, text: c.name, pos: c.scene }));
+}
+
+function setConstellationLinesShown(on) {
+    constellationLinesShown = !!on;
+    if (constellationLines) constellationLines.visible = constellationLinesShown;
+}
+
+function setConstellationNamesShown(on) {
+    constellationNamesShown = !!on;
+    refreshLabelCandidates();
 }
 
 // Create comet group container
@@ -1732,11 +6018,39 @@ function loadTexture(url, fallback) {
     return texture;
 }
 
+// pointer position at pointerdown, so a camera drag isn't mistaken for a click
+let pointerDownAt = null;
+function onPointerDown(event) {
+    pointerDownAt = { x: event.clientX, y: event.clientY };
+}
+
 function onMouseClick(event) {
+    if (pointerDownAt && Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > 5) return;
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
     raycaster.setFromCamera(mouse, camera);
+
+    // observer pick mode: the clicked globe point becomes the ground observer
+    if (observerPickMode) {
+        const hits = raycaster.intersectObject(earth);
+        if (hits.length > 0) {
+            const ll = earthLocalToLatLon(earthGroup.worldToLocal(hits[0].point.clone()));
+            setObserver(ll.lat, ll.lon, 0, '');
+            observerPickMode = false;
+            const pick = document.getElementById('chk-obs-pick');
+            if (pick) pick.checked = false;
+        }
+        return;
+    }
+
+    // satellites first: a hit opens the details card
+    const satIdx = pickSatellite(event.clientX, event.clientY);
+    if (satIdx >= 0) {
+        selectSatellite(satIdx);
+        return;
+    }
+
     const intersects = raycaster.intersectObject(earth);
 
     if (intersects.length > 0) {
@@ -1761,6 +6075,9 @@ function animate() {
     const deltaSec = Math.min(0.5, nowPerf - animate._lastTime);
     animate._lastTime = nowPerf;
 
+    // advance the simulation clock; Sun, Moon, tides and satellites follow via simClock.onChange
+    simClock.tick(deltaSec);
+
     // Align Earth's rotation to sidereal time so the Sun rises in the east and sets in the west.
     // Use GMST computed from simTime. Also apply a slow cloud drift offset for visual motion.
     try {
@@ -1797,29 +6114,12 @@ function animate() {
 
     // update satellites motion
     animateSatellites();
-    // update TLE-derived satellite points periodically
-    if (Date.now() - lastTleUpdate > tleUpdateInterval) {
-        if (sgp4Worker) updateTLEPositions();
-        else updateTLEPositionsFallback();
-    }
-    // animate synthetic satellites
-    animateSyntheticSatellites();
-    // update sun position to simulate day/night
-    const realtimeEl = document.getElementById('chk-realtime');
-    if (realtimeEl && realtimeEl.checked) {
-        simTime = new Date();
-    } else {
-        // when paused, advance a bit so manual scrubbing shows motion
-        simTime = new Date(simTime.getTime() + 1000 * 10); // +10s per frame
-        const dtInput = document.getElementById('inp-datetime');
-        if (dtInput) dtInput.value = toLocalDatetimeInputValue(simTime);
-    }
-    updateSunPosition();
+    // request fresh TLE-derived satellite positions when the interpolation span runs out
+    maybeRequestSatUpdate();
     // push atmosphere shader uniforms (sun direction, camera pos, exposure)
     try {
         if (atmosphere && atmosphere.material && atmosphere.material.uniforms) {
-            const sunEcef = computeSunEcef(simTime || new Date());
-            const sunDir = new THREE.Vector3(sunEcef.x, sunEcef.y, sunEcef.z).normalize();
+            const sunDir = ecefToScene(computeSunEcef(simTime || new Date()), simTime || new Date()).normalize();
             if (atmosphere.material.uniforms.u_sunDir) atmosphere.material.uniforms.u_sunDir.value.copy(sunDir);
             if (atmosphere.material.uniforms.u_cameraPos) atmosphere.material.uniforms.u_cameraPos.value.copy(camera.position);
             const range = document.getElementById('range-atmo');
@@ -1866,20 +6166,16 @@ function animate() {
 
     // update on-screen UI debug display
     try { updateUiDebug(); } catch (e) {}
-    // update ISS model position using latest worker buffer if available
+    // update ISS model position from the same interpolated state the points are drawn with
     try {
         const issChk = document.getElementById('chk-iss');
-        if (issObject && issChk && issChk.checked && window._tleLatestBuffer && tlePositionsAttr) {
+        if (issObject && issChk && issChk.checked && tlePositionsAttr) {
             const idx = findIssTleIndex();
             if (idx >= 0) {
-                const x = window._tleLatestBuffer[idx * 3 + 0];
-                const y = window._tleLatestBuffer[idx * 3 + 1];
-                const z = window._tleLatestBuffer[idx * 3 + 2];
-                // if values are non-zero, update position smoothly
-                if (x !== 0 || y !== 0 || z !== 0) {
-                    const target = new THREE.Vector3(x, y, z);
-                    // smooth: lerp from current to target
-                    issObject.position.lerp(target, 0.35);
+                const km = getSatKm(idx);
+                if (km.lengthSq() > 0) {
+                    // ECI km; map with the same altitude scaling the shader uses
+                    issObject.position.copy(satKmToScene(km.x, km.y, km.z));
                     issObject.visible = true;
                 }
             }
@@ -1889,83 +6185,30 @@ function animate() {
     }
 
     controls.update();
-    // advance GPU interpolation uniform toward 1 over satInterpDuration
+    // GPU interpolation between the prev/next snapshots follows the simulation clock
     try {
         if (tlePoints && tlePoints.material && tlePoints.material.uniforms) {
-            const now = performance.now() / 1000.0;
-            if (satInterpStart > 0) {
-                const t = Math.min(1.0, (now - satInterpStart) / satInterpDuration);
-                tlePoints.material.uniforms.u_interp.value = t;
-            }
+            tlePoints.material.uniforms.u_interp.value = satInterpAt(simTime.getTime());
         }
     } catch (e) {}
 
-    // follow ISS camera
-    if ((followISSEnabled || followTransitionStart > 0) && issObject && issObject.visible) {
-        const now = performance.now() / 1000.0;
-        const issPos = issObject.position.clone();
-        // compute an orbiting offset by rotating desiredOffset around Y by orbit angle
-        const orbitAngle = now * followOrbitSpeed;
-        const rot = new THREE.Matrix4().makeRotationY(orbitAngle);
-        const offset = followDesiredOffset.clone().applyMatrix4(rot);
-        const goalCamPos = issPos.clone().add(offset);
-
-        if (followTransitionStart > 0) {
-            // transition in or out
-            const tRaw = (now - followTransitionStart) / followTransitionDuration;
-            const t = Math.min(1, Math.max(0, tRaw));
-            if (followISSEnabled) {
-                // transitioning into follow: lerp from start to goal
-                camera.position.lerpVectors(followStartPos, goalCamPos, t);
-                const goalTarget = issPos.clone();
-                controls.target.lerpVectors(followStartTarget, goalTarget, t);
-                camera.fov = followStartFov + (followTargetFov - followStartFov) * t;
-                camera.updateProjectionMatrix();
-                if (t >= 1.0) followTransitionStart = 0;
-            } else {
-                // transitioning out: lerp back to saved view
-                if (followSaved) {
-                    camera.position.lerpVectors(camera.position, followSaved.pos, t);
-                    controls.target.lerpVectors(controls.target, followSaved.target, t);
-                    camera.fov = camera.fov + (followSaved.fov - camera.fov) * t;
-                    camera.updateProjectionMatrix();
-                    if (t >= 1.0) {
-                        followTransitionStart = 0;
-                        followSaved = null;
-                    }
-                }
-            }
-            controls.update();
-        } else if (followISSEnabled) {
-            // actively following: smoothly orbit and look at ISS
-            camera.position.lerp(goalCamPos, followLerp);
-            controls.target.lerp(issPos, followLerp);
-            // ease FOV towards target
-            camera.fov += (followTargetFov - camera.fov) * 0.06;
-            camera.updateProjectionMatrix();
-            controls.update();
-        }
-    }
-    // update procedural starfield time and pixel ratio so twinkle animates correctly
+    // selected satellite highlight + details card
     try {
-        if (starUniforms) {
-            // use high-resolution time in seconds
-            const tsec = (performance.now() || Date.now()) * 0.001;
-            starUniforms.u_time.value = tsec;
-            starUniforms.u_pixelRatio.value = window.devicePixelRatio || 1.0;
-            // Procedural modulation for twinkle and density (no UI):
-            // slow base oscillation plus tiny pseudo-random variation
-            const baseTwinkle = 0.04 + 0.025 * Math.sin(tsec * 0.07) + 0.01 * Math.sin(tsec * 0.31);
-            const noiseTw = (Math.sin(tsec * 1.17) * 0.5 + 0.5) * 0.005;
-            const twinkleSpeedAuto = baseTwinkle + noiseTw;
-            const baseDensity = 0.9 + 0.15 * Math.cos(tsec * 0.03) + 0.05 * Math.sin(tsec * 0.21);
-            const densityNoise = 0.02 * (Math.sin(tsec * 0.9) * 0.5 + 0.5);
-            const densityAuto = Math.max(0.2, baseDensity + densityNoise);
-            if (starUniforms.u_twinkleSpeed) starUniforms.u_twinkleSpeed.value = twinkleSpeedAuto;
-            if (starUniforms.u_densityScale) starUniforms.u_densityScale.value = densityAuto;
-        }
+        updateSelectedMarker();
+        updateSatInfoCard(false);
+        updateSatTrack();
     } catch (e) {}
 
+    // follow camera
+    try { updateFollowCamera(); } catch (e) {}
+    // ground station links and footprints
+    try { updateStationLinks(); } catch (e) {}
+    try { updateFootprints(); } catch (e) {}
+    // screen-space labels (after the camera has moved for this frame)
+    try { updateLabels(); } catch (e) {}
+    // star pixel ratio and precession
+    try { updateStars(); } catch (e) {}
+
     // handle rare automatic comet spawns
     try {
         if (Date.now() >= nextCometTime) {
@@ -1979,28 +6222,221 @@ function animate() {
     renderer.render(scene, camera);
 }
 
+// The ISS button: follow the ISS (or stop following whatever is followed)
 function toggleFollowISS() {
-    const btn = document.getElementById('btn-follow-iss');
-    // toggling ON
-    if (!followISSEnabled) {
+    if (followEnabled) stopFollow(true); else startFollow({ kind: 'sat', norad: ISS_NORAD });
+}
+
+// "25544" -> satellite, "moon" -> the Moon, "observer" / "site" -> the ground observer, "lat,lon" -> a ground site
+function parseFollowTarget(text) {
+    const v = String(text || '').trim().toLowerCase();
+    if (!v) return null;
+    if (v === 'moon') return { kind: 'moon' };
+    if (v === 'observer' || v === 'site') return { kind: 'site', lat: observer.lat, lon: observer.lon, name: observer.name || 'Observer' };
+    const ll = v.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (ll) return { kind: 'site', lat: Number(ll[1]), lon: Number(ll[2]), name: v };
+    if (/^\d+$/.test(v)) return { kind: 'sat', norad: String(Number(v)) };
+    return null;
+}
+
+function followTargetLabel(target) {
+    if (!target) return '—';
+    if (target.kind === 'moon') return 'Moon';
+    if (target.kind === 'site') return target.name || (target.lat.toFixed(2) + ', ' + target.lon.toFixed(2));
+    const idx = findTleIndexByNorad(target.norad);
+    return idx >= 0 ? (tleData[idx].name || target.norad) : ('#' + target.norad);
+}
+
+// Start following `target` (or switch to it), blending the camera from wherever it is now
+function startFollow(target, rig) {
+    if (target) followTarget = target;
+    if (rig) followRig = rig;
+    if (!followEnabled) {
         // save current view
         followSaved = {
             pos: camera.position.clone(),
             target: controls.target.clone(),
             fov: camera.fov
         };
-        followStartPos = camera.position.clone();
-        followStartTarget = controls.target.clone();
-        followStartFov = camera.fov;
-        followISSEnabled = true;
-        followTransitionStart = performance.now() / 1000.0;
-        if (btn) btn.textContent = '📡 Following ISS';
+        // the rigs sit much closer to their target than the free orbit allows
+        followSavedMinDistance = controls.minDistance;
+        controls.minDistance = 0.02;
+    }
+    followEnabled = true;
+    beginFollowTransition();
+    updateFollowUi();
+}
+
+// Stop following: blend back to the saved view, or leave the camera where it is when `immediate`
+function stopFollow(immediate) {
+    if (!followEnabled) return;
+    followEnabled = false;
+    if (immediate) {
+        followSaved = null;
+        followTransitionStart = 0;
+        restoreFollowMinDistance();
+    } else {
+        beginFollowTransition();
+    }
+    updateFollowUi();
+}
+
+function restoreFollowMinDistance() {
+    if (followSavedMinDistance !== null) controls.minDistance = followSavedMinDistance;
+    followSavedMinDistance = null;
+}
+
+function setFollowRig(rig) {
+    if (!['chase', 'nadir', 'orbit', 'lvlh'].includes(rig)) return;
+    followRig = rig;
+    if (followEnabled) beginFollowTransition();
+    updateFollowUi();
+}
+
+function beginFollowTransition() {
+    followStartPos = camera.position.clone();
+    followStartTarget = controls.target.clone();
+    followStartFov = camera.fov;
+    followTransitionStart = performance.now() / 1000.0;
+}
+
+// Scene-frame state of the follow target: position, unit velocity direction, unit radial (up) and a size
+// scale for the rig offsets. Null when the target can't be located (e.g. not in the catalog).
+function followTargetState() {
+    const t = followTarget;
+    if (!t) return null;
+    if (t.kind === 'sat') {
+        const idx = findTleIndexByNorad(t.norad);
+        if (idx < 0) return null;
+        const km = getSatKm(idx);
+        if (km.lengthSq() === 0) return null;
+        const pos = satKmToScene(km.x, km.y, km.z);
+        // the interpolated velocity matches the drawn motion exactly
+        const v = getSatVelocity(idx);
+        const vel = v.lengthSq() > 0 ? new THREE.Vector3(v.x, v.z, -v.y).normalize() : null;
+        const up = pos.clone().normalize();
+        return { pos: pos, vel: vel || new THREE.Vector3(0, 1, 0).cross(up).normalize(), up: up, scale: 1 };
+    }
+    if (t.kind === 'moon') {
+        if (!moonObject) return null;
+        const pos = moonObject.position.clone();
+        const later = new Date(simTime.getTime() + 3600000);
+        const ahead = ecefToScene(computeMoonEcef(later), later).multiplyScalar(pos.length());
+        return { pos: pos, vel: ahead.sub(pos).normalize(), up: pos.clone().normalize(), scale: 4 };
+    }
+    if (t.kind === 'site') {
+        if (!earthGroup) return null;
+        const pos = earthGroup.localToWorld(latLonToLocal(t.lat, t.lon, 1.0));
+        const up = pos.clone().normalize();
+        // the Earth spins about +Y in the scene, so ground sites move eastward
+        return { pos: pos, vel: new THREE.Vector3(0, 1, 0).cross(up).normalize(), up: up, scale: 1 };
+    }
+    return null;
+}
+
+// Camera goal { pos, target } for the active rig
+function followGoal(state, nowSec) {
+    const k = state.scale;
+    const goal = { pos: state.pos.clone(), target: state.pos.clone() };
+    if (followRig === 'chase') {
+        // behind along the velocity, a little above, looking ahead of the object
+        goal.pos.addScaledVector(state.vel, -0.3 * k).addScaledVector(state.up, 0.08 * k);
+        goal.target.addScaledVector(state.vel, 0.1 * k);
+    } else if (followRig === 'nadir') {
+        // straight above, looking down through the object at the ground below
+        goal.pos.addScaledVector(state.up, 0.35 * k);
+    } else if (followRig === 'lvlh') {
+        // fixed offset in the local vertical / local horizontal frame (R, S, W)
+        const along = state.vel.clone().addScaledVector(state.up, -state.vel.dot(state.up)).normalize();
+        const cross = new THREE.Vector3().crossVectors(state.up, along);
+        goal.pos.addScaledVector(state.up, followLvlhOffset.x * k).addScaledVector(along, followLvlhOffset.y * k).addScaledVector(cross, followLvlhOffset.z * k);
+    } else {
+        // orbit-around: desired offset slowly rotating about the scene Y axis
+        const rot = new THREE.Matrix4().makeRotationY(nowSec * followOrbitSpeed);
+        goal.pos.add(followDesiredOffset.clone().multiplyScalar(k).applyMatrix4(rot));
+    }
+    return goal;
+}
+
+// Per frame: blend into the rig after a target/rig change, then track it; blend back to the saved view on stop
+function updateFollowCamera() {
+    if (!followEnabled && followTransitionStart === 0) return;
+    const now = performance.now() / 1000.0;
+    const t = followTransitionStart > 0 ? Math.min(1, Math.max(0, (now - followTransitionStart) / followTransitionDuration)) : 1;
+    const ease = t * t * (3 - 2 * t);
+    if (followEnabled) {
+        const state = followTargetState();
+        if (!state) return;
+        const goal = followGoal(state, now);
+        if (followTransitionStart > 0) {
+            camera.position.lerpVectors(followStartPos, goal.pos, ease);
+            controls.target.lerpVectors(followStartTarget, goal.target, ease);
+            camera.fov = followStartFov + (followTargetFov - followStartFov) * ease;
+            if (t >= 1.0) followTransitionStart = 0;
+        } else {
+            camera.position.lerp(goal.pos, followLerp);
+            controls.target.lerp(goal.target, followLerp);
+            camera.fov += (followTargetFov - camera.fov) * 0.06;
+        }
+    } else if (followSaved) {
+        // transitioning out: back to the view saved when following started
+        camera.position.lerpVectors(followStartPos, followSaved.pos, ease);
+        controls.target.lerpVectors(followStartTarget, followSaved.target, ease);
+        camera.fov = followStartFov + (followSaved.fov - followStartFov) * ease;
+        if (t >= 1.0) {
+            followTransitionStart = 0;
+            followSaved = null;
+            restoreFollowMinDistance();
+        }
     } else {
-        // toggling OFF: restore
-        followISSEnabled = false;
-        followTransitionStart = performance.now() / 1000.0;
-        if (btn) btn.textContent = '📡 Follow ISS';
+        followTransitionStart = 0;
+        restoreFollowMinDistance();
+    }
+    camera.updateProjectionMatrix();
+    controls.update();
+}
+
+function updateFollowUi() {
+    const issBtn = document.getElementById('btn-follow-iss');
+    const followingIss = followEnabled && followTarget && followTarget.kind === 'sat' && followTarget.norad === ISS_NORAD;
+    if (issBtn) issBtn.textContent = followingIss ? '📡 Following ISS' : '📡 ISS';
+    const btn = document.getElementById('btn-follow');
+    if (btn) btn.textContent = followEnabled ? 'Stop' : 'Follow';
+    const label = document.getElementById('val-follow-target');
+    if (label) label.textContent = followEnabled ? followTargetLabel(followTarget) : '—';
+    const rigSel = document.getElementById('sel-follow-rig');
+    if (rigSel) rigSel.value = followRig;
+}
+
+function wireFollowUi() {
+    const input = document.getElementById('inp-follow-target');
+    const btn = document.getElementById('btn-follow');
+    if (btn) {
+        btn.addEventListener('click', () => {
+            if (followEnabled) {
+                stopFollow();
+                return;
+            }
+            const target = parseFollowTarget(input ? input.value : '') || (selectedSatNorad ? { kind: 'sat', norad: selectedSatNorad } : null);
+            if (!target) {
+                console.warn('follow: enter a NORAD ID, "moon", "observer" or "lat,lon"');
+                return;
+            }
+            startFollow(target);
+        });
+    }
+    if (input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            const target = parseFollowTarget(input.value);
+            if (target) startFollow(target);
+        });
     }
+    const rigSel = document.getElementById('sel-follow-rig');
+    if (rigSel) rigSel.addEventListener('change', () => { console.log('ui-change sel-follow-rig', rigSel.value); setFollowRig(rigSel.value); });
+    const satBtn = document.getElementById('btn-sat-follow');
+    if (satBtn) satBtn.addEventListener('click', () => { if (selectedSatNorad) startFollow({ kind: 'sat', norad: selectedSatNorad }); });
+    updateFollowUi();
 }
 
 // Animate satellites: simple orbital motion for synthetic satellites
@@ -2021,24 +6457,6 @@ function animateSatellites() {
     });
 }
 
-function animateSyntheticSatellites() {
-    if (!syntheticPoints || !syntheticPositionsAttr) return;
-    for (let i = 0; i < SYNTHETIC_SAT_COUNT; i++) {
-        const p = syntheticParams[i];
-        p.phase += p.speed;
-        const a = p.phase;
-        const inc = p.inclination;
-        const r = p.altitude;
-        const x = r * Math.cos(a);
-        const y = r * Math.sin(a) * Math.sin(inc);
-        const z = r * Math.sin(a) * Math.cos(inc);
-        syntheticPositionsAttr.array[i * 3 + 0] = x;
-        syntheticPositionsAttr.array[i * 3 + 1] = y;
-        syntheticPositionsAttr.array[i * 3 + 2] = z;
-    }
-    syntheticPositionsAttr.needsUpdate = true;
-}
-
 // Control functions
 function toggleClouds() {
     showClouds = !showClouds;
@@ -2099,8 +6517,3 @@ function toggleControlPanel() {
 
 // Initialize the scene
 window.addEventListener('load', init);
-
-// small utility dot product for three.Vector3-like objects
-function dot3(a, b) {
-    return a.x * b.x + a.y * b.y + a.z * b.z;
-}
\ No newline at end of file
@@ -6,61 +6,290 @@ try {
     satlibLoaded = false;
 }
 
+// This worker owns one shard of the catalog (the main thread may run a pool of them).
+// TLEs are parsed once into satrecs when they arrive; updates only propagate.
+let shard = 0;
 let tleData = [];
+let satrecs = [];
 let running = false;
 
+// Per-object status codes sent with each update (keep in sync with SAT_STATUS_TEXT in script.js).
+// 1-6 are satellite.js satrec.error values; 6 means SGP4 itself considers the object decayed.
+const STATUS_OK = 0;
+const STATUS_NO_SATREC = 10;
+const STATUS_NO_POSITION = 11;
+const STATUS_REENTERED = 12;
+const REENTRY_RADIUS_KM = 6371.0 + 80.0;
+
+function parseSatrec(t) {
+    if (!satlibLoaded || !t || !t.tle1 || !t.tle2) return null;
+    try {
+        const rec = satellite.twoline2satrec(t.tle1, t.tle2);
+        // malformed lines parse "successfully" into NaN elements
+        return (isFinite(rec.no) && isFinite(rec.ecco)) ? rec : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// NORAD catalog number from TLE line 1 (columns 3-7)
+function noradOf(t) {
+    if (t && t.norad) return String(t.norad);
+    return (t && t.tle1) ? t.tle1.substring(2, 7).trim() : '';
+}
+
+function postReady() {
+    self.postMessage({ type: 'ready', shard: shard, satlib: satlibLoaded, count: tleData.length });
+}
+
 self.onmessage = function(e) {
     const msg = e.data;
     if (msg.type === 'setTLE') {
+        if (typeof msg.shard === 'number') shard = msg.shard;
         tleData = msg.tle || [];
+        satrecs = tleData.map(parseSatrec);
         // inform main thread of readiness
-        self.postMessage({ type: 'ready', satlib: satlibLoaded, count: tleData.length });
+        postReady();
+    } else if (msg.type === 'addTLE') {
+        const added = msg.tle || [];
+        for (let i = 0; i < added.length; i++) {
+            tleData.push(added[i]);
+            satrecs.push(parseSatrec(added[i]));
+        }
+        postReady();
+    } else if (msg.type === 'removeTLE') {
+        const ids = new Set((msg.ids || []).map(String));
+        const keptTle = [];
+        const keptRecs = [];
+        for (let i = 0; i < tleData.length; i++) {
+            if (ids.has(noradOf(tleData[i]))) continue;
+            keptTle.push(tleData[i]);
+            keptRecs.push(satrecs[i]);
+        }
+        tleData = keptTle;
+        satrecs = keptRecs;
+        postReady();
     } else if (msg.type === 'update') {
-        // compute positions for current time
-        const now = new Date();
-        if (!satlibLoaded) {
-            // return zeroed positions so main thread can fallback
-            const outEmpty = new Float32Array(tleData.length * 3);
-            self.postMessage({ type: 'positions', positions: outEmpty }, [outEmpty.buffer]);
+        // propagate at the requested simulation time (ms since epoch); wall clock only as a last resort
+        const time = (typeof msg.time === 'number') ? msg.time : Date.now();
+        if (Array.isArray(msg.times) && msg.times.length > 0) {
+            // batch: one block of positions per timestamp, laid out [time][object][xyz]; `velocity` asks for
+            // full-precision states (Float64 positions plus velocities in the same layout) and `indices`
+            // (shard-local) limits the batch to those objects, packed in that order
+            const list = Array.isArray(msg.indices) ? msg.indices : null;
+            const n = (list ? list.length : satrecs.length) * 3;
+            const outBatch = msg.velocity ? new Float64Array(msg.times.length * n) : new Float32Array(msg.times.length * n);
+            const velBatch = msg.velocity ? new Float64Array(msg.times.length * n) : null;
+            for (let k = 0; k < msg.times.length; k++) propagateInto(outBatch, k * n, new Date(msg.times[k]), null, velBatch, list);
+            const reply = { type: 'batch', shard: shard, seq: msg.seq, times: msg.times, positions: outBatch };
+            if (velBatch) reply.velocities = velBatch;
+            self.postMessage(reply, velBatch ? [outBatch.buffer, velBatch.buffer] : [outBatch.buffer]);
             return;
         }
-        const gmst = satellite.gstime(now);
-        const out = new Float32Array(tleData.length * 3);
-        for (let i = 0; i < tleData.length; i++) {
+        // velocities (km/s) let the main thread interpolate along the orbit instead of along the chord
+        const out = new Float32Array(satrecs.length * 3);
+        const vel = new Float32Array(satrecs.length * 3);
+        const status = new Uint8Array(satrecs.length);
+        propagateInto(out, 0, new Date(time), status, vel);
+        self.postMessage({ type: 'positions', shard: shard, seq: msg.seq, time: time, positions: out, velocities: vel, status: status }, [out.buffer, vel.buffer, status.buffer]);
+    } else if (msg.type === 'track') {
+        // one object (shard-local index) at many times, e.g. an orbit line or ground track
+        const times = msg.times || [];
+        const satrec = satrecs[msg.index];
+        const out = new Float32Array(times.length * 3);
+        for (let k = 0; k < times.length && satlibLoaded && satrec; k++) {
             try {
-                const t = tleData[i];
-                if (!t.tle1 || !t.tle2) {
-                    out[i * 3 + 0] = 0;
-                    out[i * 3 + 1] = 0;
-                    out[i * 3 + 2] = 0;
-                    continue;
+                const p = satellite.propagate(satrec, new Date(times[k])).position;
+                if (!p) continue;
+                out[k * 3 + 0] = p.x;
+                out[k * 3 + 1] = p.y;
+                out[k * 3 + 2] = p.z;
+            } catch (err) {}
+        }
+        self.postMessage({ type: 'track', shard: shard, seq: msg.seq, norad: noradOf(tleData[msg.index]), positions: out }, [out.buffer]);
+    } else if (msg.type === 'screen') {
+        screenConjunctions(msg);
+    }
+};
+
+// --- Conjunction screening ---
+// Every `step` ms all objects are propagated and dropped into a uniform grid whose cells are as large as the
+// screening radius (threshold + worst-case closing distance within half a step), so only neighbouring cells
+// are compared instead of all n² pairs. A candidate pair is owned by the step nearest its linearised time of
+// closest approach and refined there with a golden-section search on the real SGP4 distance.
+const SCREEN_VMAX_KMS = 16; // head-on LEO closing speed upper bound
+
+function screenConjunctions(msg) {
+    const n = satrecs.length;
+    const threshold = msg.threshold || 5;
+    const step = msg.step || 10000;
+    const start = msg.start;
+    const end = msg.end;
+    const screenKm = threshold + SCREEN_VMAX_KMS * step / 2000;
+    let primary = -1;
+    if (msg.primary !== null && msg.primary !== undefined) {
+        for (let i = 0; i < n; i++) if (noradOf(tleData[i]) === String(msg.primary)) { primary = i; break; }
+        if (primary < 0) {
+            self.postMessage({ type: 'screen', seq: msg.seq, events: [], error: 'primary not in catalog' });
+            return;
+        }
+    }
+    const pos = new Float64Array(n * 3);
+    const vel = new Float64Array(n * 3);
+    const ok = new Uint8Array(n);
+    const best = new Map(); // "i:j" -> events, one per encounter
+    const cellKey = (cx, cy, cz) => ((cx + 2048) * 4096 + (cy + 2048)) * 4096 + (cz + 2048);
+    const totalSteps = Math.max(1, Math.ceil((end - start) / step));
+    let lastProgress = 0;
+    for (let s = 0; s <= totalSteps; s++) {
+        const t = Math.min(end, start + s * step);
+        const date = new Date(t);
+        for (let i = 0; i < n; i++) {
+            ok[i] = 0;
+            if (!satrecs[i]) continue;
+            try {
+                const pv = satellite.propagate(satrecs[i], date);
+                if (!pv.position || !pv.velocity) continue;
+                pos[i * 3] = pv.position.x; pos[i * 3 + 1] = pv.position.y; pos[i * 3 + 2] = pv.position.z;
+                vel[i * 3] = pv.velocity.x; vel[i * 3 + 1] = pv.velocity.y; vel[i * 3 + 2] = pv.velocity.z;
+                ok[i] = 1;
+            } catch (err) {}
+        }
+        const grid = new Map();
+        for (let i = 0; i < n; i++) {
+            if (!ok[i]) continue;
+            const key = cellKey(Math.floor(pos[i * 3] / screenKm), Math.floor(pos[i * 3 + 1] / screenKm), Math.floor(pos[i * 3 + 2] / screenKm));
+            let bin = grid.get(key);
+            if (!bin) grid.set(key, bin = []);
+            bin.push(i);
+        }
+        const visit = (i) => {
+            const cx = Math.floor(pos[i * 3] / screenKm), cy = Math.floor(pos[i * 3 + 1] / screenKm), cz = Math.floor(pos[i * 3 + 2] / screenKm);
+            for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) for (let dz = -1; dz <= 1; dz++) {
+                const bin = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+                if (!bin) continue;
+                for (let b = 0; b < bin.length; b++) {
+                    const j = bin[b];
+                    // all-vs-all: each unordered pair once; primary mode: every partner of the primary
+                    if (primary < 0 ? j <= i : j === i) continue;
+                    checkPair(i, j, t);
                 }
-                const satrec = satellite.twoline2satrec(t.tle1, t.tle2);
-                const p = satellite.propagate(satrec, now).position;
-                if (!p) {
-                    out[i * 3 + 0] = 0;
-                    out[i * 3 + 1] = 0;
-                    out[i * 3 + 2] = 0;
-                    continue;
+            }
+        };
+        const checkPair = (i, j, t) => {
+            const rx = pos[j * 3] - pos[i * 3], ry = pos[j * 3 + 1] - pos[i * 3 + 1], rz = pos[j * 3 + 2] - pos[i * 3 + 2];
+            if (rx * rx + ry * ry + rz * rz > screenKm * screenKm) return;
+            const vx = vel[j * 3] - vel[i * 3], vy = vel[j * 3 + 1] - vel[i * 3 + 1], vz = vel[j * 3 + 2] - vel[i * 3 + 2];
+            const vv = vx * vx + vy * vy + vz * vz;
+            const tmin = vv > 1e-12 ? -(rx * vx + ry * vy + rz * vz) / vv * 1000 : 0; // ms from t
+            // the step closest to the linearised TCA owns the event (keeps neighbouring steps from repeating it)
+            if (tmin < -step / 2 || tmin >= step / 2) {
+                if (!((s === 0 && tmin < 0) || (t === end && tmin > 0))) return;
+            }
+            const ev = refineConjunction(i, j, Math.max(start, t + tmin - step / 2), Math.min(end, t + tmin + step / 2));
+            if (!ev || ev.miss > threshold) return;
+            const a = Math.min(i, j), b = Math.max(i, j);
+            let list = best.get(a + ':' + b);
+            if (!list) best.set(a + ':' + b, list = []);
+            // slow pairs (co-located or docked objects) stay close for many steps: fold them into one encounter
+            const prev = list.find((e) => t - e.lastSeen <= step * 2);
+            if (!prev) {
+                list.push({ a: a, b: b, tca: ev.tca, miss: ev.miss, relVel: ev.relVel, lastSeen: t });
+            } else {
+                prev.lastSeen = t;
+                if (ev.miss < prev.miss) Object.assign(prev, { tca: ev.tca, miss: ev.miss, relVel: ev.relVel });
+            }
+        };
+        if (primary >= 0) {
+            if (ok[primary]) visit(primary);
+        } else {
+            for (let i = 0; i < n; i++) if (ok[i]) visit(i);
+        }
+        const progress = s / totalSteps;
+        if (progress - lastProgress >= 0.02) {
+            lastProgress = progress;
+            self.postMessage({ type: 'screenProgress', seq: msg.seq, progress: progress });
+        }
+    }
+    const events = [].concat(...best.values()).map((e) => ({
+        a: noradOf(tleData[e.a]), b: noradOf(tleData[e.b]),
+        nameA: tleData[e.a].name || '', nameB: tleData[e.b].name || '',
+        tca: e.tca, miss: e.miss, relVel: e.relVel
+    }));
+    self.postMessage({ type: 'screen', seq: msg.seq, events: events });
+}
+
+// Golden-section search for the minimum SGP4 distance between objects i and j in [t0, t1] (ms)
+function refineConjunction(i, j, t0, t1) {
+    const state = (k, t) => satellite.propagate(satrecs[k], new Date(t));
+    const dist = (t) => {
+        try {
+            const p = state(i, t).position, q = state(j, t).position;
+            if (!p || !q) return Infinity;
+            return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+        } catch (err) {
+            return Infinity;
+        }
+    };
+    const gr = (Math.sqrt(5) - 1) / 2;
+    let a = t0, b = t1;
+    let c = b - gr * (b - a), d = a + gr * (b - a);
+    let fc = dist(c), fd = dist(d);
+    for (let k = 0; k < 40 && b - a > 1; k++) {
+        if (fc < fd) { b = d; d = c; fd = fc; c = b - gr * (b - a); fc = dist(c); } else { a = c; c = d; fc = fd; d = a + gr * (b - a); fd = dist(d); }
+    }
+    const tca = (a + b) / 2;
+    const miss = dist(tca);
+    if (!isFinite(miss)) return null;
+    try {
+        const u = state(i, tca).velocity, v = state(j, tca).velocity;
+        return { tca: tca, miss: miss, relVel: Math.hypot(u.x - v.x, u.y - v.y, u.z - v.z) };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Propagate every satrec (or those at the indices in `list`, packed in list order) to `date`, writing ECI km
+// into out[offset..]. Failures are written as (0,0,0) and, when a `status` array is given, explained there per
+// object (see STATUS_*).
+function propagateInto(out, offset, date, status, vel, list) {
+    if (!satlibLoaded) return; // zeroed positions so main thread can fallback
+    const count = list ? list.length : satrecs.length;
+    for (let j = 0; j < count; j++) {
+        const o = offset + j * 3;
+        const satrec = satrecs[list ? list[j] : j];
+        let code = STATUS_OK;
+        try {
+            if (!satrec) {
+                code = STATUS_NO_SATREC;
+            } else {
+                const pv = satellite.propagate(satrec, date);
+                const p = pv.position;
+                if (!p || !isFinite(p.x) || !isFinite(p.y) || !isFinite(p.z)) {
+                    code = satrec.error || STATUS_NO_POSITION;
+                } else if (p.x * p.x + p.y * p.y + p.z * p.z < REENTRY_RADIUS_KM * REENTRY_RADIUS_KM) {
+                    code = STATUS_REENTERED;
+                } else {
+                    // raw ECI km; the main thread's shader maps altitude into scene units
+                    out[o + 0] = p.x;
+                    out[o + 1] = p.y;
+                    out[o + 2] = p.z;
+                    if (vel) {
+                        vel[o + 0] = pv.velocity.x;
+                        vel[o + 1] = pv.velocity.y;
+                        vel[o + 2] = pv.velocity.z;
+                    }
                 }
-                const geo = satellite.eciToGeodetic(p, gmst);
-                const lon = (geo.longitude * 180) / Math.PI;
-                const lat = (geo.latitude * 180) / Math.PI;
-                const phi = (90 - lat) * (Math.PI / 180);
-                const theta = (lon + 180) * (Math.PI / 180);
-                const r = 1.1;
-                const x = r * Math.sin(phi) * Math.cos(theta);
-                const y = r * Math.cos(phi);
-                const z = r * Math.sin(phi) * Math.sin(theta);
-                out[i * 3 + 0] = x;
-                out[i * 3 + 1] = y;
-                out[i * 3 + 2] = z;
-            } catch (err) {
-                out[i * 3 + 0] = 0;
-                out[i * 3 + 1] = 0;
-                out[i * 3 + 2] = 0;
             }
+        } catch (err) {
+            code = (satrec && satrec.error) || STATUS_NO_POSITION;
+        }
+        if (code !== STATUS_OK) {
+            out[o + 0] = 0;
+            out[o + 1] = 0;
+            out[o + 2] = 0;
+            if (vel) vel.fill(0, o, o + 3);
         }
-        self.postMessage({ type: 'positions', positions: out }, [out.buffer]);
+        if (status) status[j] = code;
     }
-};
+}
@@ -0,0 +1,63 @@
+// Reference-value tests for astronomy.js against the worked examples in Meeus, Astronomical Algorithms (2nd ed.)
+// and known eclipse dates. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const Astronomy = require('../astronomy.js');
+
+// |actual - expected| <= tol
+function near(actual, expected, tol, what) {
+    assert.ok(Math.abs(actual - expected) <= tol, what + ': ' + actual + ' is not within ' + tol + ' of ' + expected);
+}
+
+const ARCSEC = 1 / 3600;
+
+test('nutation and obliquity, 1987 Apr 10 0h TD (ex. 22.a)', () => {
+    const jde = 2446895.5;
+    const nut = Astronomy.nutation(jde);
+    near(nut.dPsi / ARCSEC, -3.788, 0.001, 'dPsi (")');
+    near(nut.dEps / ARCSEC, 9.443, 0.001, 'dEps (")');
+    near(Astronomy.meanObliquity(jde) + nut.dEps, 23 + 26 / 60 + 36.850 / 3600, 0.001 * ARCSEC, 'true obliquity');
+});
+
+test('apparent Sun, 1992 Oct 13.0 TD (ex. 25.a)', () => {
+    const sun = Astronomy.sunAtJde(2448908.5);
+    near(sun.ra, 198.38083, 0.00001, 'RA (deg)');
+    near(sun.dec, -7.78507, 0.00001, 'Dec (deg)');
+    near(sun.distanceAu, 0.99766, 0.00001, 'R (AU)');
+});
+
+test('apparent Moon, 1992 Apr 12 0h TD (ex. 47.a)', () => {
+    const moon = Astronomy.moonAtJde(2448724.5);
+    near(moon.lon, 133.167265, 0.000002, 'apparent longitude (deg)');
+    near(moon.lat, -3.229126, 0.000002, 'latitude (deg)');
+    near(moon.distanceKm, 368409.7, 0.1, 'distance (km)');
+    near(moon.ra, 134.688470, 0.000002, 'RA (deg)');
+    near(moon.dec, 13.768368, 0.000002, 'Dec (deg)');
+    // the ECI vector carries the true distance
+    near(Math.hypot(moon.eci.x, moon.eci.y, moon.eci.z), moon.distanceKm, 1e-6, '|eci| (km)');
+});
+
+test('illuminated fraction of the Moon, 1992 Apr 12 0h TD (ex. 48.a)', () => {
+    const ill = Astronomy.moonIlluminationAtJde(2448724.5);
+    near(ill.fraction, 0.6786, 0.00005, 'fraction');
+    assert.strictEqual(ill.waxing, true);
+});
+
+test('delta T is TT - UTC from the leap-second table', () => {
+    near(Astronomy.deltaT(new Date(Date.UTC(2024, 0, 1))), 69.184, 1e-9, '2024 (s)');
+    near(Astronomy.deltaT(new Date(Date.UTC(1990, 6, 1))), 57.184, 1e-9, '1990 (s)');
+});
+
+test('eclipse geometry at known full and new moons', () => {
+    const at = (iso) => Astronomy.eclipseGeometry(new Date(iso));
+    let g = at('2022-11-08T10:59:00Z'); // total lunar eclipse
+    assert.ok(g.lunarSeparation < g.umbralLimit, '2022 Nov 8 should be umbral');
+    g = at('2023-05-05T17:34:00Z'); // penumbral lunar eclipse
+    assert.ok(g.lunarSeparation >= g.umbralLimit && g.lunarSeparation < g.penumbralLimit, '2023 May 5 should be penumbral only');
+    g = at('2024-04-08T18:21:00Z'); // total solar eclipse
+    assert.ok(g.solarSeparation < g.solarLimit, '2024 Apr 8 should be a solar eclipse');
+    g = at('2024-04-23T23:49:00Z'); // full moon without an eclipse
+    assert.ok(g.lunarSeparation >= g.penumbralLimit, '2024 Apr 23 should not be eclipsed');
+    g = at('2024-05-08T03:22:00Z'); // new moon without an eclipse
+    assert.ok(g.solarSeparation >= g.solarLimit, '2024 May 8 should not be a solar eclipse');
+});